@@ -68,6 +68,7 @@ module.exports = {
     module: 'readonly',
     require: 'readonly',
     exports: 'readonly',
-    global: 'readonly'
+    global: 'readonly',
+    AbortSignal: 'readonly'
   }
 };
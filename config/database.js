@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const clickQueue = require('../utils/clickQueue');
+const { runMigrations } = require('./migrations');
 
 const connectDB = async() => {
   try {
@@ -36,6 +38,9 @@ const connectDB = async() => {
     console.log(`🗄️  Database: ${conn.connection.name}`);
     console.log(`🔌 Ready State: ${conn.connection.readyState}`);
 
+    // Bring indexes and data from older versions up to date
+    await runMigrations();
+
     // Enhanced connection event handlers
     mongoose.connection.on('error', (err) => {
       console.error('❌ MongoDB connection error:', err);
@@ -69,6 +74,10 @@ const connectDB = async() => {
     const gracefulShutdown = async(signal) => {
       console.log(`📦 Received ${signal}. Closing MongoDB connection...`);
       try {
+        // Write out buffered clicks before the connection goes away
+        await clickQueue.drain();
+        console.log('📊 Click queue drained');
+
         await mongoose.connection.close();
         console.log('📦 MongoDB connection closed through app termination');
         process.exit(0);
@@ -0,0 +1,109 @@
+const Url = require('../models/Url');
+const Click = require('../models/Click');
+const Domain = require('../models/Domain');
+
+// Startup steps that bring an existing database in line with the current
+// schemas. Every step is idempotent and runs after each connect; a failing
+// step is logged and doesn't stop the server from starting.
+
+// Drop an index left over from an older schema and build the current ones,
+// since autoIndex may already have failed on a conflicting definition.
+// `isLegacy` decides from the index description whether it is the old one.
+const replaceLegacyIndex = async(model, name, isLegacy = () => true) => {
+  let indexes;
+  try {
+    indexes = await model.collection.indexes();
+  } catch (error) {
+    if (error.codeName === 'NamespaceNotFound') return;
+    throw error;
+  }
+
+  const legacy = indexes.find(index => index.name === name);
+  if (!legacy || !isLegacy(legacy)) return;
+
+  await model.collection.dropIndex(name);
+  await model.createIndexes();
+  console.log(`🧹 Replaced legacy index ${model.collection.collectionName}.${name}`);
+};
+
+// Links rejected in review before adminDisabledSource existed. Other older
+// disables can't be told apart and are left for admins to re-enable by hand.
+const tagRejectedLinks = async() => {
+  const result = await Url.updateMany(
+    { policyStatus: 'rejected', adminDisabledAt: { $ne: null }, adminDisabledSource: null },
+    { $set: { adminDisabledSource: 'review' } }
+  );
+  if (result.modifiedCount > 0) {
+    console.log(`🧹 Tagged ${result.modifiedCount} rejected links as disabled by review`);
+  }
+};
+
+// Match the click timestamp index's TTL to CLICK_RETENTION_DAYS. collMod
+// changes it in place; servers that can't convert the index that way, and
+// turning retention off, rebuild it instead.
+const syncClickRetention = async() => {
+  let indexes;
+  try {
+    indexes = await Click.collection.indexes();
+  } catch (error) {
+    if (error.codeName === 'NamespaceNotFound') return;
+    throw error;
+  }
+
+  const index = indexes.find(candidate => candidate.name === 'timestamp_1');
+  const wanted = Click.RETENTION_SECONDS;
+  if (!index || (index.expireAfterSeconds ?? null) === wanted) return;
+
+  if (wanted) {
+    try {
+      await Click.db.db.command({
+        collMod: Click.collection.collectionName,
+        index: { name: 'timestamp_1', expireAfterSeconds: wanted }
+      });
+      console.log(`🧹 Click retention set to ${wanted / (24 * 60 * 60)} days`);
+      return;
+    } catch (error) {
+      console.log(`⚠️ collMod on clicks.timestamp_1 failed (${error.message}), rebuilding the index`);
+    }
+  }
+
+  await Click.collection.dropIndex('timestamp_1');
+  await Click.createIndexes();
+  console.log('🧹 Rebuilt clicks.timestamp_1 for the current retention');
+};
+
+const MIGRATIONS = [
+  // Short codes used to be unique across all domains
+  {
+    name: 'urls.shortCode_1',
+    run: () => replaceLegacyIndex(Url, 'shortCode_1')
+  },
+  // Hostnames used to be reserved by any claim, verified or not
+  {
+    name: 'domains.hostname_1',
+    run: () => replaceLegacyIndex(Domain, 'hostname_1', index => !index.partialFilterExpression)
+  },
+  // The click TTL follows CLICK_RETENTION_DAYS, which can change between deploys
+  {
+    name: 'clicks.timestamp_1',
+    run: syncClickRetention
+  },
+  {
+    name: 'urls.adminDisabledSource',
+    run: tagRejectedLinks
+  }
+];
+
+const runMigrations = async() => {
+  for (const migration of MIGRATIONS) {
+    try {
+      await migration.run();
+    } catch (error) {
+      console.error(`❌ Migration ${migration.name} failed:`, error.message);
+    }
+  }
+};
+
+module.exports = {
+  runMigrations
+};
@@ -0,0 +1,649 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Url = require('../models/Url');
+const Click = require('../models/Click');
+const LinkReview = require('../models/LinkReview');
+const AdminAuditLog = require('../models/AdminAuditLog');
+const urlCache = require('../utils/urlCache');
+const { recordAdminAction } = require('../utils/audit');
+const { getLinkStatus, buildStatusFilter } = require('../utils/linkStatus');
+const { validationResult } = require('express-validator');
+
+// Search terms are matched literally, not as regular expressions
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const getPagination = (query) => {
+  const pageNum = Math.max(1, parseInt(query.page, 10) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(query.limit, 10) || 20));
+  return { pageNum, limitNum, skip: (pageNum - 1) * limitNum };
+};
+
+const formatPagination = (pageNum, limitNum, totalCount) => ({
+  currentPage: pageNum,
+  totalPages: Math.ceil(totalCount / limitNum),
+  totalCount,
+  hasNextPage: pageNum < Math.ceil(totalCount / limitNum),
+  hasPrevPage: pageNum > 1
+});
+
+// Shape of a user in admin responses
+const formatAdminUser = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  role: user.role,
+  plan: user.plan,
+  isActive: user.isActive,
+  urlCount: user.urlCount,
+  totalClicks: user.totalClicks,
+  lastLogin: user.lastLogin,
+  failedLoginAttempts: user.failedLoginAttempts,
+  lockedUntil: user.lockedUntil,
+  createdAt: user.createdAt
+});
+
+// Shape of a URL in admin responses
+const formatAdminUrl = (url) => ({
+  id: url._id,
+  shortCode: url.shortCode,
+  domain: url.domain,
+  shortUrl: Url.buildShortUrl(url.shortCode, url.domain),
+  originalUrl: url.originalUrl,
+  title: url.title,
+  userId: url.userId,
+  workspaceId: url.workspaceId,
+  clicks: url.clicks,
+  isActive: url.isActive,
+  status: getLinkStatus(url),
+  policyStatus: url.policyStatus,
+  adminDisabledAt: url.adminDisabledAt,
+  adminDisabledReason: url.adminDisabledReason,
+  adminDisabledSource: url.adminDisabledSource,
+  createdAt: url.createdAt
+});
+
+// @desc    List and search users
+// @route   GET /api/admin/users
+// @access  Private (admin)
+const listUsers = async(req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { search, role, isActive, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
+    const { pageNum, limitNum, skip } = getPagination(req.query);
+
+    const query = {};
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      query.$or = [{ username: pattern }, { email: pattern }];
+    }
+    if (role) query.role = role;
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+
+    const [users, totalCount] = await Promise.all([
+      User.find(query)
+        .sort({ [sortBy]: sortOrder === 'asc' ? 1 : -1 })
+        .skip(skip)
+        .limit(limitNum)
+        .lean(),
+      User.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        users: users.map(formatAdminUser),
+        pagination: formatPagination(pageNum, limitNum, totalCount)
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin List Users Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching users'
+    });
+  }
+};
+
+// @desc    Get a user with link counts and recent admin actions
+// @route   GET /api/admin/users/:id
+// @access  Private (admin)
+const getUser = async(req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.id).lean();
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const [activeUrls, disabledUrls, recentActions] = await Promise.all([
+      Url.countDocuments({ userId: user._id, isActive: true, adminDisabledAt: null }),
+      Url.countDocuments({ userId: user._id, adminDisabledAt: { $ne: null } }),
+      AdminAuditLog.find({ targetType: 'user', targetId: user._id }).sort({ createdAt: -1 }).limit(10).lean()
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        user: {
+          ...formatAdminUser(user),
+          activeUrls,
+          disabledUrls
+        },
+        recentActions
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin Get User Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching user'
+    });
+  }
+};
+
+// Disable or re-enable all of a user's links in one go. Re-enabling only
+// touches links the account deactivation disabled, so links disabled one by
+// one or rejected in review stay disabled.
+const setUserLinksDisabled = async(userId, disabled, reason) => {
+  const update = disabled
+    ? { $set: { adminDisabledAt: new Date(), adminDisabledReason: reason, adminDisabledSource: 'account' } }
+    : { $set: { adminDisabledAt: null, adminDisabledReason: '', adminDisabledSource: null } };
+  const filter = disabled
+    ? { userId, adminDisabledAt: null }
+    : { userId, adminDisabledAt: { $ne: null }, adminDisabledSource: 'account' };
+
+  const result = await Url.updateMany(filter, update);
+
+  // Too many entries to invalidate one by one
+  if (result.modifiedCount > 0) urlCache.clear();
+  return result.modifiedCount;
+};
+
+// @desc    Deactivate or reactivate a user account
+// @route   PUT /api/admin/users/:id/status
+// @access  Private (admin)
+const updateUserStatus = async(req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { isActive, reason, includeLinks = false } = req.body;
+
+    if (String(req.params.id) === String(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change the status of your own account'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { $set: { isActive } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // A deactivated account is signed out everywhere
+    if (!isActive) {
+      await Session.revokeAllForUser(user._id, { reason: 'account_deactivated' });
+    }
+
+    // Optionally take the user's links down (or back up) with the account.
+    // Links rejected in destination review stay disabled.
+    const linksChanged = includeLinks
+      ? await setUserLinksDisabled(user._id, !isActive, reason?.trim() || 'Account deactivated')
+      : 0;
+
+    await recordAdminAction(req, {
+      action: isActive ? 'user.reactivate' : 'user.deactivate',
+      targetType: 'user',
+      targetId: user._id,
+      details: { reason: reason?.trim() || '', includeLinks, linksChanged }
+    });
+
+    console.log(`🛠️ User ${user.username} ${isActive ? 'reactivated' : 'deactivated'} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: isActive ? 'User reactivated' : 'User deactivated',
+      data: {
+        user: formatAdminUser(user),
+        linksChanged
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin Update User Status Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating user status'
+    });
+  }
+};
+
+// @desc    Change a user's site-wide role
+// @route   PUT /api/admin/users/:id/role
+// @access  Private (admin)
+const updateUserRole = async(req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { role } = req.body;
+
+    // Keep at least the acting admin in place
+    if (String(req.params.id) === String(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+
+    await recordAdminAction(req, {
+      action: 'user.role',
+      targetType: 'user',
+      targetId: user._id,
+      details: { from: previousRole, to: role }
+    });
+
+    console.log(`🛠️ User ${user.username} role changed from ${previousRole} to ${role} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Role updated',
+      data: {
+        user: formatAdminUser(user)
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin Update User Role Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating user role'
+    });
+  }
+};
+
+// @desc    Change a user's plan (quotas)
+// @route   PUT /api/admin/users/:id/plan
+// @access  Private (admin)
+const updateUserPlan = async(req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { plan } = req.body;
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const previousPlan = user.plan;
+    user.plan = plan;
+    await user.save();
+
+    await recordAdminAction(req, {
+      action: 'user.plan',
+      targetType: 'user',
+      targetId: user._id,
+      details: { from: previousPlan, to: plan }
+    });
+
+    console.log(`🛠️ User ${user.username} plan changed from ${previousPlan} to ${plan} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Plan updated',
+      data: {
+        user: formatAdminUser(user)
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin Update User Plan Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating user plan'
+    });
+  }
+};
+
+// @desc    List and search URLs across all users
+// @route   GET /api/admin/urls
+// @access  Private (admin)
+const listUrls = async(req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { search, userId, domain, status, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
+    const { pageNum, limitNum, skip } = getPagination(req.query);
+
+    const query = {};
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      query.$or = [{ shortCode: pattern }, { originalUrl: pattern }, { title: pattern }];
+    }
+    if (userId) query.userId = userId;
+    if (domain) query.domain = domain === 'default' ? null : domain.toLowerCase();
+    if (status) query.$and = [buildStatusFilter(status)];
+
+    const [urls, totalCount] = await Promise.all([
+      Url.find(query)
+        .select('-qrCode -dailyStats')
+        .sort({ [sortBy]: sortOrder === 'asc' ? 1 : -1 })
+        .skip(skip)
+        .limit(limitNum)
+        .lean(),
+      Url.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        urls: urls.map(formatAdminUrl),
+        pagination: formatPagination(pageNum, limitNum, totalCount)
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin List URLs Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching URLs'
+    });
+  }
+};
+
+// @desc    Disable or re-enable a URL (the owner cannot undo a disable)
+// @route   PUT /api/admin/urls/:id/status
+// @access  Private (admin)
+const updateUrlStatus = async(req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { disabled, reason } = req.body;
+
+    const update = disabled
+      ? { adminDisabledAt: new Date(), adminDisabledReason: reason?.trim() || '', adminDisabledSource: 'link' }
+      : { adminDisabledAt: null, adminDisabledReason: '', adminDisabledSource: null };
+
+    // Re-enabling a link rejected in destination review also approves it
+    const url = await Url.findById(req.params.id).select('policyStatus');
+    if (!url) {
+      return res.status(404).json({
+        success: false,
+        message: 'URL not found'
+      });
+    }
+    if (!disabled && url.policyStatus === 'rejected') {
+      update.policyStatus = 'approved';
+    }
+
+    const updatedUrl = await Url.findByIdAndUpdate(req.params.id, { $set: update }, { new: true })
+      .select('-qrCode -dailyStats');
+
+    urlCache.invalidate(updatedUrl.shortCode, updatedUrl.domain);
+
+    await recordAdminAction(req, {
+      action: disabled ? 'url.disable' : 'url.enable',
+      targetType: 'url',
+      targetId: updatedUrl._id,
+      details: { shortCode: updatedUrl.shortCode, domain: updatedUrl.domain, reason: update.adminDisabledReason }
+    });
+
+    console.log(`🛠️ ${updatedUrl.shortCode} ${disabled ? 'disabled' : 're-enabled'} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: disabled ? 'URL disabled' : 'URL re-enabled',
+      data: {
+        url: formatAdminUrl(updatedUrl)
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin Update URL Status Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating URL status'
+    });
+  }
+};
+
+// @desc    Site-wide statistics
+// @route   GET /api/admin/stats
+// @access  Private (admin)
+const getSiteStats = async(req, res) => {
+  try {
+    const now = Date.now();
+    const oneDayAgo = new Date(now - 24 * 60 * 60 * 1000);
+    const sevenDaysAgo = new Date(now - 7 * 24 * 60 * 60 * 1000);
+    const thirtyDaysAgo = new Date(now - 30 * 24 * 60 * 60 * 1000);
+
+    const [
+      userCounts,
+      urlCounts,
+      clicksLast24Hours,
+      clicksLast7Days,
+      pendingReviews,
+      topUrls
+    ] = await Promise.all([
+      User.aggregate([
+        {
+          $group: {
+            _id: null,
+            total: { $sum: 1 },
+            active: { $sum: { $cond: ['$isActive', 1, 0] } },
+            admins: { $sum: { $cond: [{ $eq: ['$role', 'admin'] }, 1, 0] } },
+            newLast7Days: { $sum: { $cond: [{ $gte: ['$createdAt', sevenDaysAgo] }, 1, 0] } },
+            newLast30Days: { $sum: { $cond: [{ $gte: ['$createdAt', thirtyDaysAgo] }, 1, 0] } }
+          }
+        },
+        { $project: { _id: 0 } }
+      ]),
+      Url.aggregate([
+        {
+          $group: {
+            _id: null,
+            total: { $sum: 1 },
+            active: { $sum: { $cond: [{ $and: ['$isActive', { $not: ['$adminDisabledAt'] }] }, 1, 0] } },
+            disabled: { $sum: { $cond: [{ $ifNull: ['$adminDisabledAt', false] }, 1, 0] } },
+            totalClicks: { $sum: '$clicks' },
+            newLast7Days: { $sum: { $cond: [{ $gte: ['$createdAt', sevenDaysAgo] }, 1, 0] } },
+            newLast30Days: { $sum: { $cond: [{ $gte: ['$createdAt', thirtyDaysAgo] }, 1, 0] } }
+          }
+        },
+        { $project: { _id: 0 } }
+      ]),
+      Click.countDocuments({ timestamp: { $gte: oneDayAgo } }),
+      Click.countDocuments({ timestamp: { $gte: sevenDaysAgo } }),
+      LinkReview.countDocuments({ status: 'pending' }),
+      Url.find()
+        .select('shortCode domain originalUrl userId clicks isActive adminDisabledAt createdAt')
+        .sort({ clicks: -1 })
+        .limit(10)
+        .lean()
+    ]);
+
+    // $group yields no document on an empty collection
+    const users = userCounts[0] || { total: 0, active: 0, admins: 0, newLast7Days: 0, newLast30Days: 0 };
+    const urls = urlCounts[0] ||
+      { total: 0, active: 0, disabled: 0, totalClicks: 0, newLast7Days: 0, newLast30Days: 0 };
+
+    res.json({
+      success: true,
+      data: {
+        users,
+        urls,
+        clicks: {
+          total: urls.totalClicks,
+          last24Hours: clicksLast24Hours,
+          last7Days: clicksLast7Days
+        },
+        pendingReviews,
+        topUrls: topUrls.map(url => ({
+          id: url._id,
+          shortCode: url.shortCode,
+          shortUrl: Url.buildShortUrl(url.shortCode, url.domain),
+          originalUrl: url.originalUrl,
+          userId: url.userId,
+          clicks: url.clicks
+        })),
+        generatedAt: new Date(now)
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin Site Stats Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching site statistics'
+    });
+  }
+};
+
+// @desc    List the admin audit trail
+// @route   GET /api/admin/audit
+// @access  Private (admin)
+const listAuditLog = async(req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { action, actorId, targetType, targetId } = req.query;
+    const { pageNum, limitNum, skip } = getPagination(req.query);
+
+    const query = {};
+    if (action) query.action = action;
+    if (actorId) query.actorId = new mongoose.Types.ObjectId(actorId);
+    if (targetType) query.targetType = targetType;
+    if (targetId) query.targetId = new mongoose.Types.ObjectId(targetId);
+
+    const [entries, totalCount] = await Promise.all([
+      AdminAuditLog.find(query).sort({ createdAt: -1 }).skip(skip).limit(limitNum).lean(),
+      AdminAuditLog.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        entries: entries.map(entry => ({
+          id: entry._id,
+          actorId: entry.actorId,
+          actorUsername: entry.actorUsername,
+          action: entry.action,
+          targetType: entry.targetType,
+          targetId: entry.targetId,
+          details: entry.details,
+          ip: entry.ip,
+          createdAt: entry.createdAt
+        })),
+        pagination: formatPagination(pageNum, limitNum, totalCount)
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin Audit Log Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching audit log'
+    });
+  }
+};
+
+module.exports = {
+  listUsers,
+  getUser,
+  updateUserStatus,
+  updateUserRole,
+  updateUserPlan,
+  listUrls,
+  updateUrlStatus,
+  getSiteStats,
+  listAuditLog
+};
@@ -0,0 +1,216 @@
+const ApiKey = require('../models/ApiKey');
+const { validationResult } = require('express-validator');
+
+const MAX_KEYS_PER_USER = parseInt(process.env.API_KEYS_MAX_PER_USER, 10) || 25;
+
+// Shape of an API key in responses (never includes the hash)
+const formatApiKey = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  expiresAt: apiKey.expiresAt,
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+  revokedAt: apiKey.revokedAt,
+  isActive: apiKey.isUsable(),
+  createdAt: apiKey.createdAt
+});
+
+// @desc    Create API key
+// @route   POST /api/keys
+// @access  Private (session only)
+const createApiKey = async(req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, scopes, expiresAt } = req.body;
+    const userId = req.user._id;
+
+    const activeKeys = await ApiKey.countDocuments({ userId, revokedAt: null });
+    if (activeKeys >= MAX_KEYS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_KEYS_PER_USER} active API keys`
+      });
+    }
+
+    const { key, prefix, keyHash } = ApiKey.generateKey();
+
+    const apiKey = await ApiKey.create({
+      userId,
+      name: name.trim(),
+      prefix,
+      keyHash,
+      ...(Array.isArray(scopes) && scopes.length > 0 && { scopes: [...new Set(scopes)] }),
+      expiresAt: expiresAt ? new Date(expiresAt) : null
+    });
+
+    console.log(`🔑 API key ${prefix} created for user ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now - it will not be shown again.',
+      data: {
+        key,
+        apiKey: formatApiKey(apiKey)
+      }
+    });
+
+  } catch (error) {
+    console.error('Create API Key Error:', error);
+
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: validationErrors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating API key'
+    });
+  }
+};
+
+// @desc    List API keys
+// @route   GET /api/keys
+// @access  Private (session only)
+const listApiKeys = async(req, res) => {
+  try {
+    const { includeRevoked = 'false' } = req.query;
+
+    const query = { userId: req.user._id };
+    if (includeRevoked !== 'true') {
+      query.revokedAt = null;
+    }
+
+    const apiKeys = await ApiKey.find(query).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        apiKeys: apiKeys.map(formatApiKey),
+        availableScopes: ApiKey.SCOPES
+      }
+    });
+
+  } catch (error) {
+    console.error('List API Keys Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching API keys'
+    });
+  }
+};
+
+// @desc    Rename API key
+// @route   PUT /api/keys/:id
+// @access  Private (session only)
+const renameApiKey = async(req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id },
+      { name: req.body.name.trim() },
+      { new: true, runValidators: true }
+    );
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'API key updated successfully',
+      data: {
+        apiKey: formatApiKey(apiKey)
+      }
+    });
+
+  } catch (error) {
+    console.error('Rename API Key Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating API key'
+    });
+  }
+};
+
+// @desc    Revoke API key
+// @route   DELETE /api/keys/:id
+// @access  Private (session only)
+const revokeApiKey = async(req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found or already revoked'
+      });
+    }
+
+    console.log(`🔑 API key ${apiKey.prefix} revoked by user ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully',
+      data: {
+        apiKey: formatApiKey(apiKey)
+      }
+    });
+
+  } catch (error) {
+    console.error('Revoke API Key Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking API key'
+    });
+  }
+};
+
+module.exports = {
+  createApiKey,
+  listApiKeys,
+  renameApiKey,
+  revokeApiKey
+};
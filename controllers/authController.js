@@ -1,6 +1,132 @@
 const User = require('../models/User');
-const { generateToken } = require('../middleware/auth');
+const Session = require('../models/Session');
+const AuthToken = require('../models/AuthToken');
+const { generateToken, ACCESS_TOKEN_TTL_SECONDS } = require('../middleware/auth');
+const { parseUserAgent } = require('../utils/userAgent');
 const { validationResult } = require('express-validator');
+const QRCode = require('qrcode');
+const totp = require('../utils/totp');
+const twoFactorChallenge = require('../utils/twoFactorChallenge');
+const { createAttemptLimiter } = require('../utils/attemptLimiter');
+const loginThrottle = require('../utils/loginThrottle');
+const fallbacks = require('../utils/fallbacks');
+const destinationPolicy = require('../utils/destinationPolicy');
+const emails = require('../utils/emails');
+
+const FALLBACK_REASONS = Object.keys(fallbacks.FALLBACK_PAGES);
+
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 24;
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+const VERIFICATION_RESEND_INTERVAL_MS = 60 * 1000;
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'URL Shortener';
+
+// Wrong two-factor codes are tracked per account, so a stolen password plus a
+// challenge token can't be used to guess codes
+const twoFactorLimiter = createAttemptLimiter({
+  maxAttempts: parseInt(process.env.TWO_FACTOR_MAX_ATTEMPTS, 10) || 5,
+  windowMs: 15 * 60 * 1000
+});
+
+const getSessionMeta = (req) => ({
+  userAgent: req.headers['user-agent'] || null,
+  ip: req.ip || null
+});
+
+// Start a session for the device and return its tokens for the response
+const issueTokens = async(user, req) => {
+  const { session, refreshToken } = await Session.createForUser(user._id, getSessionMeta(req));
+  return {
+    token: generateToken(user._id, session._id),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS
+  };
+};
+
+// Email a fresh verification link to the user's current address. Resolves
+// to false if the mail wasn't sent; the resend interval only starts once it is.
+const sendVerification = async(user) => {
+  const token = await AuthToken.issue(user, 'email_verification', EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+  const sent = await emails.sendVerificationEmail(user, token, EMAIL_VERIFICATION_TTL_HOURS);
+  if (sent) {
+    await User.updateOne({ _id: user._id }, { $set: { verificationSentAt: new Date() } });
+  }
+  return sent;
+};
+
+// sendVerification for requests that must succeed anyway (sign-up, email
+// change): a token or mail failure is logged and the user can resend later
+const trySendVerification = async(user) => {
+  try {
+    return await sendVerification(user);
+  } catch (error) {
+    console.error(`Verification Email Error (${user.username}):`, error);
+    return false;
+  }
+};
+
+// 429 for a login refused by brute-force protection
+const sendLoginBlocked = (res, block) => {
+  res.set('Retry-After', String(block.retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: block.locked
+      ? `Too many failed login attempts. Login is locked until ${block.lockedUntil.toISOString()}.`
+      : `Too many failed login attempts. Try again in ${block.retryAfter} second(s).`,
+    data: {
+      locked: block.locked,
+      lockedUntil: block.lockedUntil,
+      retryAfter: block.retryAfter
+    }
+  });
+};
+
+// Start a session for a user who has fully authenticated; returns the login response data
+const completeLogin = async(user, req) => {
+  const tokens = await issueTokens(user, req);
+
+  // Update last login
+  await user.updateLastLogin();
+
+  return {
+    ...tokens,
+    user: {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      emailVerified: user.emailVerified,
+      twoFactorEnabled: user.twoFactorEnabled,
+      urlCount: user.urlCount,
+      totalClicks: user.totalClicks,
+      lastLogin: user.lastLogin,
+      createdAt: user.createdAt
+    }
+  };
+};
+
+// Shape of a session in responses
+const formatSession = (session, currentSessionId) => {
+  const { browser, os, deviceType } = parseUserAgent(session.userAgent);
+  return {
+    id: session._id,
+    browser,
+    os,
+    deviceType,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    isCurrent: String(session._id) === String(currentSessionId)
+  };
+};
+
+// Only { url, message } per reason is stored; null or an empty pair clears it
+const normalizeLinkFallback = (fallback) => {
+  if (!fallback || (!fallback.url && !fallback.message)) return null;
+  return {
+    url: fallback.url?.trim() || null,
+    message: fallback.message?.trim() || ''
+  };
+};
 
 // @desc    Register new user
 // @route   POST /api/auth/register
@@ -40,11 +166,14 @@ const registerUser = async(req, res) => {
     const user = await User.create({
       username: username.trim(),
       email: email.toLowerCase().trim(),
-      password: password
+      password: password,
+      emailVerified: false
     });
 
-    // Generate token
-    const token = generateToken(user._id);
+    await trySendVerification(user);
+
+    // Start a session for this device
+    const tokens = await issueTokens(user, req);
 
     // Update last login
     await user.updateLastLogin();
@@ -53,11 +182,12 @@ const registerUser = async(req, res) => {
       success: true,
       message: 'User registered successfully',
       data: {
-        token,
+        ...tokens,
         user: {
           id: user._id,
           username: user.username,
           email: user.email,
+          emailVerified: user.emailVerified,
           urlCount: user.urlCount,
           totalClicks: user.totalClicks,
           createdAt: user.createdAt
@@ -114,11 +244,21 @@ const loginUser = async(req, res) => {
     }
 
     const { identifier, password } = req.body; // identifier can be email or username
+    const attempt = { identifier, ip: req.ip };
 
     // Find user by email or username
     const user = await User.findByEmailOrUsername(identifier);
 
+    // Refuse before checking the password so guesses during a lockout tell nothing
+    const block = await loginThrottle.check(attempt, user);
+    if (block) {
+      return sendLoginBlocked(res, block);
+    }
+
     if (!user) {
+      const failureBlock = await loginThrottle.recordFailure(attempt, null);
+      if (failureBlock?.locked) return sendLoginBlocked(res, failureBlock);
+
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
@@ -137,33 +277,35 @@ const loginUser = async(req, res) => {
     const isPasswordValid = await user.comparePassword(password);
 
     if (!isPasswordValid) {
+      const failureBlock = await loginThrottle.recordFailure(attempt, user);
+      console.log(`❌ Failed login for ${user.username} from ${req.ip} (${user.failedLoginAttempts} recent failures)`);
+      if (failureBlock?.locked) return sendLoginBlocked(res, failureBlock);
+
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    await loginThrottle.recordSuccess(attempt, user);
 
-    // Update last login
-    await user.updateLastLogin();
+    // The password alone isn't enough; the client continues at /2fa/verify
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: twoFactorChallenge.createChallengeToken(user),
+          expiresIn: twoFactorChallenge.CHALLENGE_TTL_SECONDS
+        }
+      });
+    }
 
     res.json({
       success: true,
       message: 'Login successful',
-      data: {
-        token,
-        user: {
-          id: user._id,
-          username: user.username,
-          email: user.email,
-          urlCount: user.urlCount,
-          totalClicks: user.totalClicks,
-          lastLogin: user.lastLogin,
-          createdAt: user.createdAt
-        }
-      }
+      data: await completeLogin(user, req)
     });
 
   } catch (error) {
@@ -200,10 +342,15 @@ const getCurrentUser = async(req, res) => {
           id: user._id,
           username: user.username,
           email: user.email,
+          emailVerified: user.emailVerified,
+          twoFactorEnabled: user.twoFactorEnabled,
+          role: user.role,
+          plan: user.plan,
           urlCount: user.urlCount,
           totalClicks: user.totalClicks,
           lastLogin: user.lastLogin,
           createdAt: user.createdAt,
+          linkFallbacks: user.linkFallbacks,
           recentUrls: user.urls
         }
       }
@@ -223,7 +370,7 @@ const getCurrentUser = async(req, res) => {
 // @access  Private
 const updateProfile = async(req, res) => {
   try {
-    const { username, email } = req.body;
+    const { username, email, linkFallbacks } = req.body;
     const userId = req.user.id;
 
     // Check for validation errors
@@ -236,6 +383,19 @@ const updateProfile = async(req, res) => {
       });
     }
 
+    // Fallback URLs are destinations too
+    if (linkFallbacks) {
+      const fallbackUrls = FALLBACK_REASONS.map(reason => linkFallbacks[reason]?.url).filter(Boolean);
+      const policy = await destinationPolicy.evaluateDestinations(fallbackUrls);
+      if (!policy.allowed) {
+        return res.status(400).json({
+          success: false,
+          message: destinationPolicy.describeRejection(policy.reasons),
+          policyReasons: policy.reasons
+        });
+      }
+    }
+
     // Check if username or email is already taken by another user
     if (username || email) {
       const query = { _id: { $ne: userId } };
@@ -268,6 +428,21 @@ const updateProfile = async(req, res) => {
     if (username) updateData.username = username.trim();
     if (email) updateData.email = email.toLowerCase().trim();
 
+    // A new address has to be confirmed again
+    const emailChanged = Boolean(updateData.email) && updateData.email !== req.user.email;
+    if (emailChanged) {
+      updateData.emailVerified = false;
+      updateData.emailVerifiedAt = null;
+    }
+    if (linkFallbacks) {
+      // Set per reason so reasons left out of the request keep their fallback
+      FALLBACK_REASONS
+        .filter(reason => linkFallbacks[reason] !== undefined)
+        .forEach(reason => {
+          updateData[`linkFallbacks.${reason}`] = normalizeLinkFallback(linkFallbacks[reason]);
+        });
+    }
+
     const user = await User.findByIdAndUpdate(
       userId,
       updateData,
@@ -281,6 +456,9 @@ const updateProfile = async(req, res) => {
       });
     }
 
+    if (linkFallbacks) fallbacks.invalidateAccount(user._id);
+    if (emailChanged) await trySendVerification(user);
+
     res.json({
       success: true,
       message: 'Profile updated successfully',
@@ -289,10 +467,12 @@ const updateProfile = async(req, res) => {
           id: user._id,
           username: user.username,
           email: user.email,
+          emailVerified: user.emailVerified,
           urlCount: user.urlCount,
           totalClicks: user.totalClicks,
           lastLogin: user.lastLogin,
-          createdAt: user.createdAt
+          createdAt: user.createdAt,
+          linkFallbacks: user.linkFallbacks
         }
       }
     });
@@ -350,11 +530,21 @@ const changePassword = async(req, res) => {
 
     // Update password
     user.password = newPassword;
+    user.passwordChangedAt = new Date();
     await user.save();
 
+    // Sign out every other device; this one stays logged in
+    const { modifiedCount } = await Session.revokeAllForUser(user._id, {
+      exceptId: req.sessionId,
+      reason: 'password_changed'
+    });
+
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      data: {
+        revokedSessions: modifiedCount
+      }
     });
 
   } catch (error) {
@@ -380,10 +570,762 @@ const changePassword = async(req, res) => {
   }
 };
 
+// @desc    Exchange a refresh token for new access and refresh tokens
+// @route   POST /api/auth/refresh
+// @access  Public
+const refreshSession = async(req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { session, reused } = await Session.findByRefreshToken(req.body.refreshToken);
+
+    // A rotated token showing up again means it leaked: end the session
+    if (reused) {
+      if (!session.revokedAt) await session.revoke('token_reuse');
+      console.log(`⚠️ Refresh token reuse detected for session ${session._id}, session revoked`);
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has already been used. Please log in again.'
+      });
+    }
+
+    if (!session || !session.isUsable()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    const user = await User.findById(session.userId);
+    if (!user || !user.isActive) {
+      await session.revoke('account_unavailable');
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated'
+      });
+    }
+
+    const refreshToken = await session.rotate(getSessionMeta(req));
+    if (!refreshToken) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has already been used. Please log in again.'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        token: generateToken(user._id, session._id),
+        refreshToken,
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS
+      }
+    });
+
+  } catch (error) {
+    console.error('Refresh Session Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while refreshing session'
+    });
+  }
+};
+
+// @desc    Log out the current session
+// @route   POST /api/auth/logout
+// @access  Private
+const logoutUser = async(req, res) => {
+  try {
+    if (req.sessionId) {
+      await Session.updateOne(
+        { _id: req.sessionId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+      );
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+};
+
+// @desc    List the user's active sessions (logged-in devices)
+// @route   GET /api/auth/sessions
+// @access  Private
+const listSessions = async(req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => formatSession(session, req.sessionId))
+      }
+    });
+
+  } catch (error) {
+    console.error('List Sessions Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching sessions'
+    });
+  }
+};
+
+// @desc    Revoke one session
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const revokeSession = async(req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await Session.updateOne(
+      { _id: req.params.id, userId: req.user._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'revoked' } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+
+  } catch (error) {
+    console.error('Revoke Session Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking session'
+    });
+  }
+};
+
+// @desc    Revoke every session except the current one
+// @route   DELETE /api/auth/sessions
+// @access  Private
+const revokeOtherSessions = async(req, res) => {
+  try {
+    const { modifiedCount } = await Session.revokeAllForUser(req.user._id, { exceptId: req.sessionId });
+
+    res.json({
+      success: true,
+      message: `Revoked ${modifiedCount} other session(s)`,
+      data: {
+        revokedSessions: modifiedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Revoke Other Sessions Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking sessions'
+    });
+  }
+};
+
+// @desc    Confirm an email address with the emailed token
+// @route   POST /api/auth/verify-email
+// @access  Public
+const verifyEmail = async(req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const record = await AuthToken.consume(req.body.token, 'email_verification');
+
+    if (!record) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification link'
+      });
+    }
+
+    // Only confirms the address the link was sent to, not one changed since
+    const user = await User.findOneAndUpdate(
+      { _id: record.userId, email: record.email },
+      { $set: { emailVerified: true, emailVerifiedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'This link was sent to an address that is no longer on the account'
+      });
+    }
+
+    console.log(`✅ Email verified for ${user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Email address verified',
+      data: {
+        email: user.email,
+        emailVerified: true
+      }
+    });
+
+  } catch (error) {
+    console.error('Verify Email Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while verifying email'
+    });
+  }
+};
+
+// @desc    Send a new verification email
+// @route   POST /api/auth/resend-verification
+// @access  Private
+const resendVerification = async(req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email address is already verified'
+      });
+    }
+
+    const sentAgoMs = user.verificationSentAt ? Date.now() - user.verificationSentAt.getTime() : Infinity;
+    if (sentAgoMs < VERIFICATION_RESEND_INTERVAL_MS) {
+      const retryAfter = Math.ceil((VERIFICATION_RESEND_INTERVAL_MS - sentAgoMs) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${retryAfter} seconds before requesting another email`
+      });
+    }
+
+    if (!await sendVerification(user)) {
+      return res.status(503).json({
+        success: false,
+        message: 'Could not send the verification email. Please try again later'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Verification email sent to ${user.email}`
+    });
+
+  } catch (error) {
+    console.error('Resend Verification Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending verification email'
+    });
+  }
+};
+
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = async(req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email.toLowerCase() });
+
+    // Same response either way so the endpoint can't be used to probe for accounts
+    // and a failure to send is only logged, since an error would give the account away too
+    if (user && user.isActive) {
+      try {
+        const token = await AuthToken.issue(user, 'password_reset', PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+        await emails.sendPasswordResetEmail(user, token, PASSWORD_RESET_TTL_MINUTES);
+        console.log(`🔑 Password reset requested for ${user.username}`);
+      } catch (mailError) {
+        console.error(`Password Reset Email Error (${user.username}):`, mailError);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Forgot Password Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while requesting password reset'
+    });
+  }
+};
+
+// @desc    Set a new password with an emailed reset token
+// @route   POST /api/auth/reset-password
+// @access  Public
+const resetPassword = async(req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const record = await AuthToken.consume(req.body.token, 'password_reset');
+    const user = record && await User.findById(record.userId).select('+password');
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset link'
+      });
+    }
+
+    user.password = req.body.password;
+    user.passwordChangedAt = new Date();
+
+    // Receiving the email proves the address belongs to the user
+    if (!user.emailVerified && user.email === record.email) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    // Whoever knew the old password is signed out everywhere
+    const { modifiedCount } = await Session.revokeAllForUser(user._id, { reason: 'password_reset' });
+
+    await emails.sendPasswordChangedEmail(user);
+
+    console.log(`🔑 Password reset for ${user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.',
+      data: {
+        revokedSessions: modifiedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Reset Password Error:', error);
+
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: validationErrors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resetting password'
+    });
+  }
+};
+
+// Shared 429 response once too many wrong two-factor codes were tried
+const sendTwoFactorLocked = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: `Too many incorrect codes. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`
+  });
+};
+
+// Check a TOTP or backup code against the per-account attempt limit.
+// Returns { method } on success, or { status, message, retryAfter } to send.
+const checkTwoFactorCode = async(user, code) => {
+  const key = String(user._id);
+  const retryAfter = twoFactorLimiter.getRetryAfter(key);
+  if (retryAfter > 0) return { retryAfter };
+
+  const method = await user.verifyTwoFactorCode(code);
+  if (!method) {
+    twoFactorLimiter.recordFailure(key);
+    return { status: 400, message: 'Invalid authentication code' };
+  }
+
+  twoFactorLimiter.reset(key);
+  return { method };
+};
+
+// @desc    Complete a login with a two-factor code
+// @route   POST /api/auth/2fa/verify
+// @access  Public (challenge token)
+const verifyTwoFactorLogin = async(req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userId = twoFactorChallenge.verifyChallengeToken(req.body.challengeToken);
+    const user = userId && await User.findById(userId).select('+twoFactorSecret');
+
+    if (!user || !user.isActive || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is invalid or has expired. Please log in again.'
+      });
+    }
+
+    const check = await checkTwoFactorCode(user, req.body.code);
+    if (check.retryAfter) return sendTwoFactorLocked(res, check.retryAfter);
+    if (!check.method) {
+      return res.status(401).json({
+        success: false,
+        message: check.message
+      });
+    }
+
+    const data = await completeLogin(user, req);
+
+    if (check.method === 'backup_code') {
+      const { twoFactorBackupCodes } = await User.findById(user._id).select('+twoFactorBackupCodes');
+      data.backupCodesRemaining = twoFactorBackupCodes.length;
+      console.log(`🔐 ${user.username} logged in with a backup code (${data.backupCodesRemaining} left)`);
+    }
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data
+    });
+
+  } catch (error) {
+    console.error('Verify Two-Factor Login Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+};
+
+// @desc    Get two-factor authentication status
+// @route   GET /api/auth/2fa
+// @access  Private
+const getTwoFactorStatus = async(req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactorBackupCodes');
+
+    res.json({
+      success: true,
+      data: {
+        enabled: user.twoFactorEnabled,
+        enabledAt: user.twoFactorEnabledAt,
+        backupCodesRemaining: user.twoFactorEnabled ? user.twoFactorBackupCodes.length : 0
+      }
+    });
+
+  } catch (error) {
+    console.error('Get Two-Factor Status Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching two-factor status'
+    });
+  }
+};
+
+// @desc    Start two-factor enrolment: a new secret, otpauth URI and QR code
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+const setupTwoFactor = async(req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    // Stays pending until confirmed with a code, so a half-finished setup
+    // never locks the user out
+    const secret = totp.generateSecret();
+    await User.updateOne({ _id: req.user._id }, { $set: { twoFactorPendingSecret: secret } });
+
+    const otpauthUri = totp.buildOtpauthUri({
+      secret,
+      accountName: req.user.email,
+      issuer: TOTP_ISSUER
+    });
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUri,
+        qrCode: await QRCode.toDataURL(otpauthUri)
+      }
+    });
+
+  } catch (error) {
+    console.error('Setup Two-Factor Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while setting up two-factor authentication'
+    });
+  }
+};
+
+// @desc    Confirm enrolment with a code from the app and turn two-factor on
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+const enableTwoFactor = async(req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+twoFactorPendingSecret');
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const step = totp.verifyCode(user.twoFactorPendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const { codes, hashes } = User.generateBackupCodes();
+    await User.updateOne({ _id: user._id }, {
+      $set: {
+        twoFactorEnabled: true,
+        twoFactorEnabledAt: new Date(),
+        twoFactorSecret: user.twoFactorPendingSecret,
+        twoFactorPendingSecret: null,
+        twoFactorBackupCodes: hashes,
+        twoFactorLastStep: step
+      }
+    });
+
+    console.log(`🔐 Two-factor authentication enabled for ${user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your backup codes somewhere safe; they are only shown once.',
+      data: {
+        backupCodes: codes
+      }
+    });
+
+  } catch (error) {
+    console.error('Enable Two-Factor Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while enabling two-factor authentication'
+    });
+  }
+};
+
+// @desc    Turn two-factor off (password and a current code required)
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+const disableTwoFactor = async(req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password +twoFactorSecret');
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!await user.comparePassword(req.body.password)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    const check = await checkTwoFactorCode(user, req.body.code);
+    if (check.retryAfter) return sendTwoFactorLocked(res, check.retryAfter);
+    if (!check.method) {
+      return res.status(check.status).json({
+        success: false,
+        message: check.message
+      });
+    }
+
+    await User.updateOne({ _id: user._id }, {
+      $set: {
+        twoFactorEnabled: false,
+        twoFactorEnabledAt: null,
+        twoFactorSecret: null,
+        twoFactorPendingSecret: null,
+        twoFactorBackupCodes: [],
+        twoFactorLastStep: null
+      }
+    });
+
+    console.log(`🔓 Two-factor authentication disabled for ${user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('Disable Two-Factor Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while disabling two-factor authentication'
+    });
+  }
+};
+
+// @desc    Replace all backup codes (a current code required)
+// @route   POST /api/auth/2fa/backup-codes
+// @access  Private
+const regenerateBackupCodes = async(req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+twoFactorSecret');
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const check = await checkTwoFactorCode(user, req.body.code);
+    if (check.retryAfter) return sendTwoFactorLocked(res, check.retryAfter);
+    if (!check.method) {
+      return res.status(check.status).json({
+        success: false,
+        message: check.message
+      });
+    }
+
+    const { codes, hashes } = User.generateBackupCodes();
+    await User.updateOne({ _id: user._id }, { $set: { twoFactorBackupCodes: hashes } });
+
+    res.json({
+      success: true,
+      message: 'New backup codes generated; the old ones no longer work',
+      data: {
+        backupCodes: codes
+      }
+    });
+
+  } catch (error) {
+    console.error('Regenerate Backup Codes Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating backup codes'
+    });
+  }
+};
+
 module.exports = {
   registerUser,
   loginUser,
   getCurrentUser,
   updateProfile,
-  changePassword
+  changePassword,
+  refreshSession,
+  logoutUser,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  verifyTwoFactorLogin,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes
 };
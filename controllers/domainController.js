@@ -0,0 +1,336 @@
+const Domain = require('../models/Domain');
+const Url = require('../models/Url');
+const Workspace = require('../models/Workspace');
+const domains = require('../utils/domains');
+const { validationResult } = require('express-validator');
+
+const MAX_DOMAINS_PER_USER = parseInt(process.env.DOMAINS_MAX_PER_USER, 10) || 10;
+
+// Shape of a domain in responses
+const formatDomain = (domain) => ({
+  id: domain._id,
+  hostname: domain.hostname,
+  workspaceId: domain.workspaceId,
+  isVerified: Boolean(domain.verifiedAt),
+  isActive: domain.isActive,
+  verifiedAt: domain.verifiedAt,
+  lastCheckedAt: domain.lastCheckedAt,
+  verificationRecord: domain.getVerificationRecord(),
+  createdAt: domain.createdAt
+});
+
+// Load a domain the user may manage: their own, or one shared with a
+// workspace they administer. Returns null when it is not visible to them.
+const findManageableDomain = async(id, userId) => {
+  const domain = await Domain.findById(id);
+  if (!domain) return null;
+
+  if (String(domain.userId) === String(userId)) return domain;
+
+  if (domain.workspaceId) {
+    const role = await Workspace.getMemberRole(domain.workspaceId, userId);
+    if (Workspace.hasRole(role, 'admin')) return domain;
+  }
+
+  return null;
+};
+
+// @desc    Register a custom domain
+// @route   POST /api/domains
+// @access  Private
+const createDomain = async(req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userId = req.user._id;
+    const hostname = domains.normalizeHostname(req.body.hostname);
+    const { workspaceId } = req.body;
+
+    if (hostname === domains.getDefaultHostname()) {
+      return res.status(400).json({
+        success: false,
+        message: 'The default domain cannot be registered as a custom domain'
+      });
+    }
+
+    if (workspaceId) {
+      const role = await Workspace.getMemberRole(workspaceId, userId);
+      if (!Workspace.hasRole(role, 'admin')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only workspace admins can add domains to a workspace'
+        });
+      }
+    }
+
+    // Unverified claims by other accounts don't block registration
+    if (await Domain.exists({ hostname, verifiedAt: { $ne: null } })) {
+      return res.status(400).json({
+        success: false,
+        message: 'This domain is already registered and verified'
+      });
+    }
+
+    const domainCount = await Domain.countDocuments({ userId });
+    if (domainCount >= MAX_DOMAINS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `You can register at most ${MAX_DOMAINS_PER_USER} domains`
+      });
+    }
+
+    const domain = await Domain.create({
+      hostname,
+      userId,
+      workspaceId: workspaceId || null,
+      verificationToken: Domain.generateVerificationToken()
+    });
+
+    console.log(`🌐 Domain ${hostname} registered by user ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Domain registered. Publish the TXT record, then call the verify endpoint.',
+      data: {
+        domain: formatDomain(domain)
+      }
+    });
+
+  } catch (error) {
+    console.error('Create Domain Error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already registered this domain'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: validationErrors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while registering domain'
+    });
+  }
+};
+
+// @desc    List the user's domains and those shared with their workspaces
+// @route   GET /api/domains
+// @access  Private
+const listDomains = async(req, res) => {
+  try {
+    const userId = req.user._id;
+    const workspaces = await Workspace.find({ 'members.userId': userId }).select('_id').lean();
+
+    const domainList = await Domain.find({
+      $or: [
+        { userId },
+        { workspaceId: { $in: workspaces.map(workspace => workspace._id) } }
+      ]
+    }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        domains: domainList.map(formatDomain)
+      }
+    });
+
+  } catch (error) {
+    console.error('List Domains Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching domains'
+    });
+  }
+};
+
+// @desc    Check the domain's DNS TXT record
+// @route   POST /api/domains/:id/verify
+// @access  Private
+const verifyDomain = async(req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const domain = await findManageableDomain(req.params.id, req.user._id);
+
+    if (!domain) {
+      return res.status(404).json({
+        success: false,
+        message: 'Domain not found'
+      });
+    }
+
+    if (!domain.verifiedAt && await Domain.exists({ hostname: domain.hostname, verifiedAt: { $ne: null } })) {
+      return res.status(400).json({
+        success: false,
+        message: 'This domain has already been verified by another account'
+      });
+    }
+
+    const verified = await domains.verifyDomain(domain);
+
+    if (!verified && !domain.verifiedAt) {
+      const record = domain.getVerificationRecord();
+      return res.status(400).json({
+        success: false,
+        message: `TXT record not found. Add ${record.name} with the value "${record.value}" and try again.`,
+        data: {
+          domain: formatDomain(domain)
+        }
+      });
+    }
+
+    console.log(`✅ Domain ${domain.hostname} verified`);
+
+    res.json({
+      success: true,
+      message: 'Domain verified successfully',
+      data: {
+        domain: formatDomain(domain)
+      }
+    });
+
+  } catch (error) {
+    console.error('Verify Domain Error:', error);
+
+    // Another account verified the same hostname at the same moment
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'This domain has already been verified by another account'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while verifying domain'
+    });
+  }
+};
+
+// @desc    Enable or disable a domain
+// @route   PUT /api/domains/:id
+// @access  Private
+const updateDomain = async(req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const domain = await findManageableDomain(req.params.id, req.user._id);
+
+    if (!domain) {
+      return res.status(404).json({
+        success: false,
+        message: 'Domain not found'
+      });
+    }
+
+    domain.isActive = Boolean(req.body.isActive);
+    await domain.save();
+    domains.invalidate(domain.hostname);
+
+    res.json({
+      success: true,
+      message: 'Domain updated successfully',
+      data: {
+        domain: formatDomain(domain)
+      }
+    });
+
+  } catch (error) {
+    console.error('Update Domain Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating domain'
+    });
+  }
+};
+
+// @desc    Remove a domain that no longer has links
+// @route   DELETE /api/domains/:id
+// @access  Private
+const deleteDomain = async(req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const domain = await findManageableDomain(req.params.id, req.user._id);
+
+    if (!domain) {
+      return res.status(404).json({
+        success: false,
+        message: 'Domain not found'
+      });
+    }
+
+    const linkCount = await Url.countDocuments({ domain: domain.hostname });
+    if (linkCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `This domain still has ${linkCount} link(s). Delete them or disable the domain instead.`
+      });
+    }
+
+    await Domain.deleteOne({ _id: domain._id });
+    domains.invalidate(domain.hostname);
+
+    res.json({
+      success: true,
+      message: 'Domain deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete Domain Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting domain'
+    });
+  }
+};
+
+module.exports = {
+  createDomain,
+  listDomains,
+  verifyDomain,
+  updateDomain,
+  deleteDomain
+};
@@ -0,0 +1,347 @@
+const Url = require('../models/Url');
+const DomainPolicy = require('../models/DomainPolicy');
+const LinkReview = require('../models/LinkReview');
+const destinationPolicy = require('../utils/destinationPolicy');
+const domains = require('../utils/domains');
+const urlCache = require('../utils/urlCache');
+const { recordAdminAction } = require('../utils/audit');
+const { validationResult } = require('express-validator');
+
+// Shape of a blocklist/allowlist entry in responses
+const formatDomainPolicy = (entry) => ({
+  id: entry._id,
+  hostname: entry.hostname,
+  list: entry.list,
+  reason: entry.reason,
+  createdBy: entry.createdBy,
+  createdAt: entry.createdAt
+});
+
+// Shape of a review queue entry in responses
+const formatReview = (review) => ({
+  id: review._id,
+  urlId: review.urlId,
+  userId: review.userId,
+  shortCode: review.shortCode,
+  domain: review.domain,
+  shortUrl: Url.buildShortUrl(review.shortCode, review.domain),
+  reasons: review.reasons,
+  status: review.status,
+  reviewedBy: review.reviewedBy,
+  reviewedAt: review.reviewedAt,
+  note: review.note,
+  createdAt: review.createdAt
+});
+
+// @desc    List blocklist and allowlist entries
+// @route   GET /api/admin/policy/domains
+// @access  Private (admin)
+const listDomainPolicies = async(req, res) => {
+  try {
+    const filter = req.query.list ? { list: req.query.list } : {};
+    const entries = await DomainPolicy.find(filter).sort({ list: 1, hostname: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        domains: entries.map(formatDomainPolicy)
+      }
+    });
+
+  } catch (error) {
+    console.error('List Domain Policies Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching domain policies'
+    });
+  }
+};
+
+// @desc    Add a domain to the blocklist or allowlist
+// @route   POST /api/admin/policy/domains
+// @access  Private (admin)
+const addDomainPolicy = async(req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { list, reason } = req.body;
+    const hostname = domains.normalizeHostname(req.body.hostname);
+
+    const entry = await DomainPolicy.create({
+      hostname,
+      list,
+      reason: reason?.trim() || '',
+      createdBy: req.user._id
+    });
+
+    // Apply right away on this instance; others pick it up within DOMAIN_POLICY_TTL_MS
+    destinationPolicy.invalidateLists();
+
+    await recordAdminAction(req, {
+      action: 'policy.domain.add',
+      targetType: 'domainPolicy',
+      targetId: entry._id,
+      details: { hostname, list, reason: entry.reason }
+    });
+
+    console.log(`🛡️ ${hostname} added to the ${list} by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: `Domain added to the ${list}`,
+      data: {
+        domain: formatDomainPolicy(entry)
+      }
+    });
+
+  } catch (error) {
+    console.error('Add Domain Policy Error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'This domain is already on the blocklist or allowlist'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adding domain policy'
+    });
+  }
+};
+
+// @desc    Remove a blocklist or allowlist entry
+// @route   DELETE /api/admin/policy/domains/:id
+// @access  Private (admin)
+const removeDomainPolicy = async(req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const entry = await DomainPolicy.findByIdAndDelete(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Domain policy not found'
+      });
+    }
+
+    destinationPolicy.invalidateLists();
+
+    await recordAdminAction(req, {
+      action: 'policy.domain.remove',
+      targetType: 'domainPolicy',
+      targetId: entry._id,
+      details: { hostname: entry.hostname, list: entry.list }
+    });
+
+    console.log(`🛡️ ${entry.hostname} removed from the ${entry.list} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: `Domain removed from the ${entry.list}`
+    });
+
+  } catch (error) {
+    console.error('Remove Domain Policy Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing domain policy'
+    });
+  }
+};
+
+// @desc    Dry-run the destination policy against a URL
+// @route   POST /api/admin/policy/check
+// @access  Private (admin)
+const checkDestinationPolicy = async(req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { allowed, reasons } = await destinationPolicy.evaluateDestinations([req.body.url]);
+
+    res.json({
+      success: true,
+      data: {
+        url: req.body.url,
+        allowed,
+        reasons
+      }
+    });
+
+  } catch (error) {
+    console.error('Check Destination Policy Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while checking destination'
+    });
+  }
+};
+
+// @desc    List the link review queue
+// @route   GET /api/admin/reviews
+// @access  Private (admin)
+const listReviews = async(req, res) => {
+  try {
+    const { status = 'pending', page = 1, limit = 20 } = req.query;
+    const pageNum = Math.max(1, parseInt(page, 10));
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10)));
+    const filter = status === 'all' ? {} : { status };
+
+    const [reviews, totalCount] = await Promise.all([
+      LinkReview.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      LinkReview.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        reviews: reviews.map(formatReview),
+        pagination: {
+          currentPage: pageNum,
+          totalPages: Math.ceil(totalCount / limitNum),
+          totalCount,
+          hasNextPage: pageNum < Math.ceil(totalCount / limitNum),
+          hasPrevPage: pageNum > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('List Reviews Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching reviews'
+    });
+  }
+};
+
+// Close a pending review: approved links redirect again without policy
+// re-checks, rejected links are disabled by admin (the owner can't undo it)
+const decideReview = async(req, res, decision) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const review = await LinkReview.findOneAndUpdate(
+    { _id: req.params.id, status: 'pending' },
+    {
+      $set: {
+        status: decision,
+        reviewedBy: req.user._id,
+        reviewedAt: new Date(),
+        note: req.body.note?.trim() || ''
+      }
+    },
+    { new: true }
+  );
+
+  if (!review) {
+    const exists = await LinkReview.exists({ _id: req.params.id });
+    return res.status(exists ? 400 : 404).json({
+      success: false,
+      message: exists ? 'This review has already been closed' : 'Review not found'
+    });
+  }
+
+  const update = decision === 'approved'
+    ? { policyStatus: 'approved' }
+    : {
+      policyStatus: 'rejected',
+      adminDisabledAt: new Date(),
+      adminDisabledReason: 'Rejected in destination review',
+      adminDisabledSource: 'review'
+    };
+  const url = await Url.findByIdAndUpdate(review.urlId, { $set: update }, { new: true });
+
+  if (url) {
+    urlCache.invalidate(url.shortCode, url.domain);
+  }
+
+  await recordAdminAction(req, {
+    action: decision === 'approved' ? 'review.approve' : 'review.reject',
+    targetType: 'review',
+    targetId: review._id,
+    details: { urlId: review.urlId, shortCode: review.shortCode, note: review.note }
+  });
+
+  console.log(`🛡️ Review for ${review.shortCode} ${decision} by ${req.user.username}`);
+
+  return res.json({
+    success: true,
+    message: decision === 'approved' ? 'Link approved' : 'Link rejected and disabled',
+    data: {
+      review: formatReview(review)
+    }
+  });
+};
+
+// @desc    Approve a flagged link
+// @route   POST /api/admin/reviews/:id/approve
+// @access  Private (admin)
+const approveReview = async(req, res) => {
+  try {
+    return await decideReview(req, res, 'approved');
+  } catch (error) {
+    console.error('Approve Review Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while approving link'
+    });
+  }
+};
+
+// @desc    Reject a flagged link
+// @route   POST /api/admin/reviews/:id/reject
+// @access  Private (admin)
+const rejectReview = async(req, res) => {
+  try {
+    return await decideReview(req, res, 'rejected');
+  } catch (error) {
+    console.error('Reject Review Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rejecting link'
+    });
+  }
+};
+
+module.exports = {
+  listDomainPolicies,
+  addDomainPolicy,
+  removeDomainPolicy,
+  checkDestinationPolicy,
+  listReviews,
+  approveReview,
+  rejectReview
+};
@@ -1,4 +1,313 @@
+const mongoose = require('mongoose');
 const Url = require('../models/Url');
+const Workspace = require('../models/Workspace');
+const clickQueue = require('../utils/clickQueue');
+const urlCache = require('../utils/urlCache');
+const webhooks = require('../utils/webhooks');
+const domains = require('../utils/domains');
+const { createAttemptLimiter } = require('../utils/attemptLimiter');
+const { renderPasswordPage, renderMessagePage, renderInterstitialPage } = require('../utils/pages');
+const { applyUtmParams } = require('../utils/utm');
+const { lookupCountry } = require('../utils/geoip');
+const { buildRuleContext, selectRule } = require('../utils/redirectRules');
+const { chooseVariant, setVariantCookie } = require('../utils/variants');
+const { getLinkStatus, isWithinAvailability } = require('../utils/linkStatus');
+const { FALLBACK_PAGES, resolveFallback } = require('../utils/fallbacks');
+const { buildContinueUrl, verifyContinueToken } = require('../utils/interstitial');
+const destinationPolicy = require('../utils/destinationPolicy');
+
+// Failed unlock attempts are tracked per IP across all links
+const unlockLimiter = createAttemptLimiter({
+  maxAttempts: parseInt(process.env.UNLOCK_MAX_ATTEMPTS, 10) || 5,
+  windowMs: parseInt(process.env.UNLOCK_WINDOW_MS, 10) || 15 * 60 * 1000
+});
+
+const getClientIp = (req) => {
+  return req.ip || req.connection.remoteAddress || req.headers['x-forwarded-for']?.split(',')[0]?.trim();
+};
+
+const wantsHtml = (req) => req.accepts(['json', 'html']) === 'html';
+
+// Domain whose links a preview/QR request refers to: ?domain= when given,
+// otherwise the Host the request arrived on
+const getLookupDomain = async(req) => {
+  if (req.query.domain) {
+    return domains.normalizeHostname(req.query.domain);
+  }
+  return domains.resolveRequestDomain(req);
+};
+
+// Respond with the password challenge: an HTML form for browsers, JSON for API clients
+const sendPasswordChallenge = (req, res, url, { status = 401, error } = {}) => {
+  res.set('Cache-Control', 'no-store');
+
+  if (wantsHtml(req)) {
+    return res.status(status).send(renderPasswordPage({
+      shortCode: url.shortCode,
+      title: url.title,
+      error
+    }));
+  }
+
+  return res.status(status).json({
+    success: false,
+    message: error || 'This short URL is password protected',
+    passwordRequired: true,
+    unlockUrl: `/${url.shortCode}/unlock`
+  });
+};
+
+// Scheduled links and links outside their availability windows don't redirect yet
+const isUnavailable = (url, now = new Date()) => {
+  return getLinkStatus(url, now) === 'scheduled' || !isWithinAvailability(url, now);
+};
+
+// Answer with the link's configured "not available" response: a redirect to
+// unavailableUrl, or its message as an HTML page (browsers) or JSON
+const sendUnavailable = (req, res, url) => {
+  const isScheduled = getLinkStatus(url) === 'scheduled';
+  res.set('Cache-Control', 'no-store');
+
+  if (isScheduled) {
+    const secondsUntilActive = Math.ceil((new Date(url.activatesAt).getTime() - Date.now()) / 1000);
+    res.set('Retry-After', String(Math.max(1, secondsUntilActive)));
+  }
+
+  if (url.unavailableUrl) {
+    return res.redirect(302, url.unavailableUrl);
+  }
+
+  const message = url.unavailableMessage ||
+    (isScheduled ? 'This link is not available yet' : 'This link is not available right now');
+
+  if (wantsHtml(req)) {
+    return res.status(403).send(renderMessagePage({
+      title: isScheduled ? 'Not available yet' : 'Not available right now',
+      message
+    }));
+  }
+
+  return res.status(403).json({
+    success: false,
+    message,
+    status: isScheduled ? 'scheduled' : 'outside_availability_window',
+    activatesAt: url.activatesAt || null
+  });
+};
+
+// Why a link may not redirect for moderation reasons, or null when it may:
+// disabled by an admin, or failing the destination policy. The policy is
+// re-checked so newly blocked destinations stop redirecting; a link that
+// fails is flagged for admin review. Approved links are not re-checked.
+const getModerationBlock = async(url) => {
+  const pendingReview = 'This link has been disabled pending review';
+
+  if (url.adminDisabledAt) return 'This link has been disabled by an administrator';
+  if (url.policyStatus === 'approved') return null;
+  if (url.policyStatus === 'flagged' || url.policyStatus === 'rejected') return pendingReview;
+
+  const { allowed, reasons } = await destinationPolicy.evaluateLink(url);
+  if (allowed) return null;
+
+  await destinationPolicy.flagLink(url, reasons);
+  return pendingReview;
+};
+
+const sendModerationBlock = (req, res, url, message) => {
+  console.log(`🚫 ${url.shortCode} blocked: ${message}`);
+  res.set('Cache-Control', 'no-store');
+
+  if (wantsHtml(req)) {
+    return res.status(403).send(renderMessagePage({ title: 'Link disabled', message }));
+  }
+
+  return res.status(403).json({
+    success: false,
+    message
+  });
+};
+
+// Answer a link that can't redirect. API clients keep the plain JSON error;
+// browsers are sent to the configured fallback URL or shown an HTML page.
+const sendLinkError = async(req, res, { reason, status, message, url = null, ownerId = null }) => {
+  if (!wantsHtml(req)) {
+    return res.status(status).json({
+      success: false,
+      message
+    });
+  }
+
+  const fallback = await resolveFallback(reason, { url, ownerId: ownerId || url?.userId });
+  res.set('Cache-Control', 'no-store');
+
+  if (fallback?.url) {
+    return res.redirect(302, fallback.url);
+  }
+
+  return res.status(status).send(renderMessagePage({
+    title: FALLBACK_PAGES[reason].title,
+    message: fallback?.message || FALLBACK_PAGES[reason].message
+  }));
+};
+
+// No active link matched: tell deactivated links apart from unknown codes so
+// the right fallback applies. Both stay a plain 404 for API clients.
+const sendMissingLink = async(req, res, shortCode, domain) => {
+  const inactiveUrl = await Url.findOne({ shortCode, domain, isActive: false })
+    .select('userId fallbackUrl fallbackMessage')
+    .lean();
+
+  return sendLinkError(req, res, {
+    reason: inactiveUrl ? 'inactive' : 'notFound',
+    status: 404,
+    message: 'Short URL not found',
+    url: inactiveUrl,
+    ownerId: inactiveUrl ? inactiveUrl.userId : await domains.getDomainOwner(domain)
+  });
+};
+
+const sendExpired = (req, res, url) => {
+  return sendLinkError(req, res, { reason: 'expired', status: 410, message: 'This short URL has expired', url });
+};
+
+// A used-up click-limited link is treated like an expired one for fallbacks
+const sendClickLimitReached = (req, res, url) => {
+  return sendLinkError(req, res, {
+    reason: 'expired',
+    status: 410,
+    message: 'This short URL has reached its click limit',
+    url
+  });
+};
+
+// Pick where this visitor goes: the first matching redirect rule, else their
+// A/B variant, else the original URL (with the link's UTM parameters merged in)
+const resolveDestination = (req, url) => {
+  const ip = getClientIp(req);
+  const country = lookupCountry(ip);
+  const rule = selectRule(url.rules, buildRuleContext(req, { ip, country }));
+  const { variant, isNew } = rule ? { variant: null, isNew: false } : chooseVariant(req, url);
+  const target = rule ? rule.destination : (variant ? variant.destination : url.originalUrl);
+
+  return { ip, country, rule, variant, isNew, destination: applyUtmParams(target, url.utm) };
+};
+
+const getHostname = (destination) => {
+  try {
+    return new URL(destination).hostname;
+  } catch {
+    return destination;
+  }
+};
+
+// Show the "you are leaving" page instead of redirecting. No click is recorded
+// here; that happens on GET /:shortCode/continue.
+const sendInterstitial = (req, res, url) => {
+  const { variant, isNew, destination } = resolveDestination(req, url);
+  const continueUrl = buildContinueUrl(url);
+
+  res.set('Cache-Control', 'no-store');
+
+  // Pin a new visitor's variant now so the destination shown is the one they get
+  if (variant && isNew) {
+    setVariantCookie(res, url, variant);
+  }
+
+  const destinationHost = getHostname(destination);
+  console.log(`🚧 Showing interstitial for ${url.shortCode} (to ${destinationHost})`);
+
+  if (wantsHtml(req)) {
+    return res.send(renderInterstitialPage({
+      title: url.title,
+      description: url.description,
+      destinationHost,
+      continueUrl,
+      countdownSeconds: url.interstitialDelay
+    }));
+  }
+
+  return res.json({
+    success: true,
+    interstitial: true,
+    data: {
+      title: url.title || '',
+      description: url.description || '',
+      destinationHost,
+      countdownSeconds: url.interstitialDelay,
+      continueUrl
+    }
+  });
+};
+
+// Queue the click for batched recording, then send the 302 to the destination
+const recordClickAndRedirect = async(req, res, url) => {
+  const { shortCode } = url;
+
+  // Click-limited links claim their click atomically before redirecting
+  if (url.maxClicks) {
+    const remainingClicks = await Url.claimLimitedClick(url._id);
+    if (remainingClicks === null) {
+      console.log(`⛔ Click limit reached for ${shortCode}`);
+      urlCache.invalidate(shortCode, url.domain);
+      return sendClickLimitReached(req, res, url);
+    }
+    if (remainingClicks === 0) {
+      // Refresh the cached copy so later hits fail fast
+      urlCache.invalidate(shortCode, url.domain);
+    }
+  }
+
+  const { ip, country, rule, variant, isNew, destination } = resolveDestination(req, url);
+
+  // Extract analytics data from request
+  const clickData = {
+    ip,
+    userAgent: req.headers['user-agent'],
+    referer: req.headers.referer || req.headers.referrer,
+    country,
+    ruleId: rule ? rule._id : null,
+    variantId: variant ? variant._id : null
+  };
+
+  // Clicks are buffered in-process and flushed in batches (see utils/clickQueue),
+  // so the redirect never waits on an analytics write
+  try {
+    clickQueue.enqueue(url, clickData);
+  } catch (analyticsError) {
+    console.error('❌ Failed to queue click:', analyticsError);
+    // Still redirect even if analytics fail, but log the error
+  }
+
+  // Notify url.clicked subscribers without delaying the redirect
+  webhooks.emitClick(url, clickData).catch(webhookError => {
+    console.error('❌ Failed to queue click webhook:', webhookError);
+  });
+
+  // Use 302 (temporary) and explicit no-cache headers to avoid browser caching the redirect
+  res.set({
+    'Cache-Control': 'no-store, no-cache, must-revalidate, proxy-revalidate',
+    'Pragma': 'no-cache',
+    'Expires': '0',
+    'Surrogate-Control': 'no-store'
+  });
+
+  if (variant && isNew) {
+    setVariantCookie(res, url, variant);
+  }
+
+  const via = rule ? ` (rule ${rule.name || rule._id})` : (variant ? ` (variant ${variant.name})` : '');
+  console.log(`🔄 Redirecting ${shortCode} to: ${destination}${via}`);
+  return res.redirect(302, destination);
+};
+
+// Last step once a link is known to be usable: interstitial links stop at the
+// "you are leaving" page, everything else redirects straight away
+const proceedToDestination = (req, res, url) => {
+  if (url.interstitial) {
+    return sendInterstitial(req, res, url);
+  }
+  return recordClickAndRedirect(req, res, url);
+};
 
 // @desc    Redirect to original URL and track analytics
 // @route   GET /:shortCode
@@ -20,66 +329,47 @@ const redirectToOriginal = async(req, res) => {
       });
     }
 
-    // Find URL by short code - use lean() for better performance
-    console.log(`🔍 Searching for URL with shortCode: ${shortCode}`);
-    const url = await Url.findOne({
-      shortCode,
-      isActive: true
-    }).lean();
+    // Short codes are scoped to the custom domain the request arrived on
+    const domain = await domains.resolveRequestDomain(req);
+
+    // Find URL by short code - served from the in-memory cache when possible
+    console.log(`🔍 Searching for URL with shortCode: ${shortCode}${domain ? ` on ${domain}` : ''}`);
+    const url = await urlCache.findActiveByShortCode(shortCode, domain);
 
     if (!url) {
       console.log(`❌ Short URL not found: ${shortCode}`);
-      return res.status(404).json({
-        success: false,
-        message: 'Short URL not found'
-      });
+      return await sendMissingLink(req, res, shortCode, domain);
     }
 
     console.log(`✅ Found URL: ${url.originalUrl} for shortCode: ${shortCode}`);
 
     // Check if URL is expired
     if (url.expiryDate && new Date(url.expiryDate) < new Date()) {
-      return res.status(410).json({
-        success: false,
-        message: 'This short URL has expired'
-      });
+      return await sendExpired(req, res, url);
     }
 
-    // Extract analytics data from request
-    const clickData = {
-      ip: req.ip || req.connection.remoteAddress || req.headers['x-forwarded-for']?.split(',')[0]?.trim(),
-      userAgent: req.headers['user-agent'],
-      referer: req.headers.referer || req.headers.referrer
-    };
-
-    // SYNCHRONOUSLY record click BEFORE redirecting (this ensures every redirect is counted)
-    try {
-      console.log(`📊 Recording click for ${shortCode} BEFORE redirect...`);
-
-      // Re-fetch the document with full Mongoose functionality for the update
-      const urlDoc = await Url.findById(url._id);
-      if (urlDoc && urlDoc.isActive) {
-        await urlDoc.incrementClicks(clickData);
-        console.log(`✅ Click recorded for ${shortCode}, new count: ${urlDoc.clicks}`);
-      } else {
-        console.log(`⚠️ URL document not found or inactive for ${shortCode}`);
-      }
-    } catch (analyticsError) {
-      console.error('❌ Analytics update failed:', analyticsError);
-      // Still redirect even if analytics fail, but log the error
+    if (url.maxClicks && url.usedClicks >= url.maxClicks) {
+      return await sendClickLimitReached(req, res, url);
     }
 
-    // Perform the redirect AFTER recording the click
-    // Use 302 (temporary) and explicit no-cache headers to avoid browser caching the redirect
-    res.set({
-      'Cache-Control': 'no-store, no-cache, must-revalidate, proxy-revalidate',
-      'Pragma': 'no-cache',
-      'Expires': '0',
-      'Surrogate-Control': 'no-store'
-    });
+    if (isUnavailable(url)) {
+      console.log(`⏳ ${shortCode} is not available right now`);
+      return sendUnavailable(req, res, url);
+    }
+
+    const moderationBlock = await getModerationBlock(url);
+    if (moderationBlock) {
+      return sendModerationBlock(req, res, url, moderationBlock);
+    }
 
-    console.log(`🔄 Redirecting ${shortCode} to: ${url.originalUrl}`);
-    return res.redirect(302, url.originalUrl);
+    // Password protected links answer with a challenge; the click is only
+    // recorded once the visitor unlocks it via POST /:shortCode/unlock
+    if (url.password) {
+      console.log(`🔒 Password required for ${shortCode}`);
+      return sendPasswordChallenge(req, res, url);
+    }
+
+    return await proceedToDestination(req, res, url);
 
   } catch (error) {
     console.error('Redirect Error:', error);
@@ -92,17 +382,147 @@ const redirectToOriginal = async(req, res) => {
   }
 };
 
-// @desc    Get URL info without redirecting (for preview)
-// @route   GET /api/preview/:shortCode
+// @desc    Unlock a password protected short URL and redirect
+// @route   POST /:shortCode/unlock
 // @access  Public
-const getUrlPreview = async(req, res) => {
+const unlockUrl = async(req, res) => {
   try {
     const { shortCode } = req.params;
+    const { password } = req.body;
+    const ip = getClientIp(req);
+    const domain = await domains.resolveRequestDomain(req);
 
     const url = await Url.findOne({
       shortCode,
+      domain,
       isActive: true
-    }).lean();
+    }).select('+password');
+
+    if (!url) {
+      return await sendMissingLink(req, res, shortCode, domain);
+    }
+
+    if (url.isExpired()) {
+      return await sendExpired(req, res, url);
+    }
+
+    if (url.isExhausted()) {
+      return await sendClickLimitReached(req, res, url);
+    }
+
+    if (isUnavailable(url)) {
+      return sendUnavailable(req, res, url);
+    }
+
+    const moderationBlock = await getModerationBlock(url);
+    if (moderationBlock) {
+      return sendModerationBlock(req, res, url, moderationBlock);
+    }
+
+    if (!url.password) {
+      return await proceedToDestination(req, res, url);
+    }
+
+    const retryAfter = unlockLimiter.getRetryAfter(ip);
+    if (retryAfter > 0) {
+      console.log(`⛔ Unlock rate limit hit for ${ip} on ${shortCode}`);
+      res.set('Retry-After', String(retryAfter));
+      return sendPasswordChallenge(req, res, url, {
+        status: 429,
+        error: `Too many failed attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`
+      });
+    }
+
+    const isPasswordValid = typeof password === 'string' && await url.comparePassword(password);
+
+    if (!isPasswordValid) {
+      const remainingAttempts = unlockLimiter.recordFailure(ip);
+      console.log(`❌ Wrong password for ${shortCode} from ${ip} (${remainingAttempts} attempts left)`);
+      return sendPasswordChallenge(req, res, url, { error: 'Incorrect password' });
+    }
+
+    unlockLimiter.reset(ip);
+    return await proceedToDestination(req, res, url);
+
+  } catch (error) {
+    console.error('Unlock Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while unlocking URL'
+    });
+  }
+};
+
+// @desc    Continue from an interstitial page: record the click and redirect
+// @route   GET /:shortCode/continue
+// @access  Public (requires the token issued by the interstitial page)
+const continueToDestination = async(req, res) => {
+  try {
+    const { shortCode } = req.params;
+    const domain = await domains.resolveRequestDomain(req);
+    const url = await urlCache.findActiveByShortCode(shortCode, domain);
+
+    if (!url) {
+      return await sendMissingLink(req, res, shortCode, domain);
+    }
+
+    // The link may have changed state while the interstitial was open
+    if (url.expiryDate && new Date(url.expiryDate) < new Date()) {
+      return await sendExpired(req, res, url);
+    }
+
+    if (url.maxClicks && url.usedClicks >= url.maxClicks) {
+      return await sendClickLimitReached(req, res, url);
+    }
+
+    if (isUnavailable(url)) {
+      return sendUnavailable(req, res, url);
+    }
+
+    const moderationBlock = await getModerationBlock(url);
+    if (moderationBlock) {
+      return sendModerationBlock(req, res, url, moderationBlock);
+    }
+
+    // Interstitial turned off since: go through the normal redirect
+    // (and password challenge) from the short link itself
+    if (!url.interstitial) {
+      res.set('Cache-Control', 'no-store');
+      return res.redirect(302, `/${encodeURIComponent(shortCode)}`);
+    }
+
+    if (!verifyContinueToken(req.query.token, url)) {
+      console.log(`❌ Invalid or expired continue token for ${shortCode}`);
+      // Browsers start over from the short link; password links ask again there
+      if (wantsHtml(req)) {
+        res.set('Cache-Control', 'no-store');
+        return res.redirect(302, `/${encodeURIComponent(shortCode)}`);
+      }
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired continue token'
+      });
+    }
+
+    return await recordClickAndRedirect(req, res, url);
+
+  } catch (error) {
+    console.error('Continue Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during redirect'
+    });
+  }
+};
+
+// @desc    Get URL info without redirecting (for preview)
+// @route   GET /api/preview/:shortCode
+// @access  Public
+const getUrlPreview = async(req, res) => {
+  try {
+    const { shortCode } = req.params;
+
+    const url = await urlCache.findActiveByShortCode(shortCode, await getLookupDomain(req));
 
     if (!url) {
       return res.status(404).json({
@@ -111,14 +531,29 @@ const getUrlPreview = async(req, res) => {
       });
     }
 
+    // Don't reveal the destination of password protected links
+    const isPasswordProtected = Boolean(url.password);
+
     // Check if URL is expired
     const isExpired = url.expiryDate && new Date(url.expiryDate) < new Date();
 
+    // The cached copy may lag behind, so read the live counter for limited links
+    let liveUrl = url;
+    if (url.maxClicks) {
+      const usage = await Url.findById(url._id).select('maxClicks usedClicks').lean();
+      liveUrl = { ...url, maxClicks: usage?.maxClicks || null, usedClicks: usage?.usedClicks || 0 };
+    }
+    const maxClicks = liveUrl.maxClicks || null;
+    const remainingClicks = maxClicks ? Math.max(0, maxClicks - liveUrl.usedClicks) : null;
+    const status = getLinkStatus(liveUrl);
+
     res.json({
       success: true,
       data: {
         shortCode: url.shortCode,
-        originalUrl: url.originalUrl,
+        shortUrl: Url.buildShortUrl(url.shortCode, url.domain),
+        domain: url.domain,
+        originalUrl: isPasswordProtected ? null : url.originalUrl,
         title: url.title || '',
         description: url.description || '',
         clicks: url.clicks,
@@ -126,6 +561,15 @@ const getUrlPreview = async(req, res) => {
         createdAt: url.createdAt,
         isExpired,
         expiryDate: url.expiryDate,
+        isPasswordProtected,
+        destinationHost: isPasswordProtected ? null : getHostname(url.originalUrl),
+        interstitial: Boolean(url.interstitial),
+        maxClicks,
+        remainingClicks,
+        isExhausted: remainingClicks === 0,
+        status,
+        activatesAt: url.activatesAt || null,
+        isAvailableNow: status === 'active' && isWithinAvailability(url),
         qrCode: url.qrCode
       }
     });
@@ -146,10 +590,7 @@ const getQRCode = async(req, res) => {
   try {
     const { shortCode } = req.params;
 
-    const url = await Url.findOne({
-      shortCode,
-      isActive: true
-    }).select('qrCode shortCode').lean();
+    const url = await urlCache.findActiveByShortCode(shortCode, await getLookupDomain(req));
 
     if (!url) {
       return res.status(404).json({
@@ -186,6 +627,17 @@ const getQRCode = async(req, res) => {
   }
 };
 
+// Fields a bulk-clicks caller may report for a click
+const BULK_CLICK_FIELDS = ['ip', 'userAgent', 'referer'];
+
+const pickBulkClickData = (click) => {
+  const clickData = {};
+  BULK_CLICK_FIELDS.forEach((field) => {
+    if (typeof click[field] === 'string') clickData[field] = click[field];
+  });
+  return clickData;
+};
+
 // @desc    Bulk redirect analytics (for high-traffic scenarios)
 // @route   POST /api/analytics/bulk-clicks
 // @access  Private (internal use)
@@ -202,37 +654,41 @@ const bulkUpdateClicks = async(req, res) => {
       });
     }
 
-    // Group clicks by URL ID for efficient processing
-    const clicksGrouped = clicks.reduce((acc, click) => {
-      if (!acc[click.urlId]) {
-        acc[click.urlId] = [];
-      }
-      acc[click.urlId].push(click);
-      return acc;
-    }, {});
-
-    const updatePromises = Object.entries(clicksGrouped).map(async([urlId, urlClicks]) => {
-      try {
-        const url = await Url.findById(urlId);
-        if (url && url.isActive) {
-          // Process all clicks for this URL
-          for (const clickData of urlClicks) {
-            await url.incrementClicks(clickData);
-          }
-        }
-      } catch (error) {
-        console.error(`Error updating clicks for URL ${urlId}:`, error);
+    // Only queue clicks for the caller's own active URLs and those of their workspaces
+    const urlIds = [...new Set(clicks.map(click => click && click.urlId))]
+      .filter(urlId => mongoose.isValidObjectId(urlId));
+
+    const workspaces = await Workspace.find({ 'members.userId': req.user._id }).select('_id').lean();
+    const urls = await Url.find({
+      _id: { $in: urlIds },
+      isActive: true,
+      $or: [
+        { userId: req.user._id, workspaceId: null },
+        { workspaceId: { $in: workspaces.map(workspace => workspace._id) } }
+      ]
+    })
+      .select('_id userId')
+      .lean();
+    const urlsById = new Map(urls.map(url => [String(url._id), url]));
+
+    let queued = 0;
+    clicks.forEach((click) => {
+      const url = click && urlsById.get(String(click.urlId));
+      if (url) {
+        // Only raw request details are taken from the caller; the timestamp,
+        // country, rule and variant are derived server-side
+        clickQueue.enqueue(url, pickBulkClickData(click));
+        queued += 1;
       }
     });
 
-    await Promise.allSettled(updatePromises);
-
     res.json({
       success: true,
-      message: `Processed ${clicks.length} clicks`,
+      message: `Queued ${queued} of ${clicks.length} clicks`,
       data: {
         totalClicks: clicks.length,
-        urlsUpdated: Object.keys(clicksGrouped).length
+        queuedClicks: queued,
+        urlsUpdated: urlsById.size
       }
     });
 
@@ -247,6 +703,8 @@ const bulkUpdateClicks = async(req, res) => {
 
 module.exports = {
   redirectToOriginal,
+  unlockUrl,
+  continueToDestination,
   getUrlPreview,
   getQRCode,
   bulkUpdateClicks
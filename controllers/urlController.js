@@ -1,7 +1,253 @@
+const mongoose = require('mongoose');
 const Url = require('../models/Url');
 const User = require('../models/User');
+const Click = require('../models/Click');
+const Workspace = require('../models/Workspace');
+const Domain = require('../models/Domain');
+const WebhookClickCounter = require('../models/WebhookClickCounter');
 const QRCode = require('qrcode'); // We'll need to install this
 const { validationResult } = require('express-validator');
+const urlCache = require('../utils/urlCache');
+const destinationPolicy = require('../utils/destinationPolicy');
+const LinkReview = require('../models/LinkReview');
+const webhooks = require('../utils/webhooks');
+const { extractUtm } = require('../utils/utm');
+const { createUrlValidation } = require('../utils/validation');
+const { parse } = require('csv-parse/sync');
+const { toCsvRow } = require('../utils/csv');
+const { consumeQuota, refundQuota } = require('../middleware/rateLimit');
+const {
+  LINK_STATUSES,
+  getLinkStatus,
+  isWithinAvailability,
+  buildStatusFilter
+} = require('../utils/linkStatus');
+
+// Maximum rows accepted by a single bulk import and how many are created concurrently
+const BULK_MAX_ROWS = parseInt(process.env.BULK_MAX_ROWS, 10) || 1000;
+const BULK_BATCH_SIZE = parseInt(process.env.BULK_BATCH_SIZE, 10) || 25;
+
+// Links an account can create before confirming its email address
+const UNVERIFIED_URL_LIMIT = parseInt(process.env.UNVERIFIED_URL_LIMIT, 10) || 5;
+
+// Clicks left before a click-limited link stops redirecting (null when unlimited)
+const getRemainingClicks = (url) => {
+  return url.maxClicks ? Math.max(0, url.maxClicks - (url.usedClicks || 0)) : null;
+};
+
+// Shape of a URL in create responses
+const formatCreatedUrl = (url) => ({
+  id: url._id,
+  originalUrl: url.originalUrl,
+  shortCode: url.shortCode,
+  shortUrl: url.shortUrl,
+  domain: url.domain,
+  title: url.title,
+  description: url.description,
+  clicks: url.clicks,
+  expiryDate: url.expiryDate,
+  qrCode: url.qrCode,
+  tags: url.tags,
+  isPasswordProtected: Boolean(url.password),
+  utm: url.utm,
+  rules: url.rules,
+  variants: url.variants,
+  maxClicks: url.maxClicks,
+  remainingClicks: getRemainingClicks(url),
+  activatesAt: url.activatesAt,
+  availabilityWindows: url.availabilityWindows,
+  unavailableMessage: url.unavailableMessage,
+  unavailableUrl: url.unavailableUrl,
+  fallbackUrl: url.fallbackUrl,
+  fallbackMessage: url.fallbackMessage,
+  interstitial: url.interstitial,
+  interstitialDelay: url.interstitialDelay,
+  policyStatus: url.policyStatus,
+  adminDisabledAt: url.adminDisabledAt,
+  adminDisabledReason: url.adminDisabledReason,
+  status: getLinkStatus(url),
+  workspaceId: url.workspaceId,
+  createdAt: url.createdAt
+});
+
+// Load a URL the user may act on. Personal links require ownership; workspace
+// links require at least `minRole` in the workspace (viewer reads, editor writes).
+// Returns { url } or { status, message } for a 404/403 response.
+const findAuthorizedUrl = async(id, userId, minRole, select = '') => {
+  const url = await Url.findById(id).select(select);
+
+  if (url && url.workspaceId) {
+    const role = await Workspace.getMemberRole(url.workspaceId, userId);
+    if (Workspace.hasRole(role, minRole)) {
+      return { url };
+    }
+    // Members who can see the link but not change it get a 403
+    if (role) {
+      return { status: 403, message: `This action requires the ${minRole} role in the workspace` };
+    }
+  } else if (url && String(url.userId) === String(userId)) {
+    return { url };
+  }
+
+  return { status: 404, message: 'URL not found' };
+};
+
+// Check already-validated create input and build the Url document data.
+// Returns { urlData } or { error, policyReasons } for problems that map to a 400 response.
+const prepareUrlData = async(userId, input) => {
+  const {
+    originalUrl, customCode, title, description, expiryDate, tags, password, workspaceId, rules, variants, maxClicks,
+    activatesAt, availabilityWindows, unavailableMessage, unavailableUrl, fallbackUrl, fallbackMessage,
+    interstitial, interstitialDelay
+  } = input;
+  const domain = input.domain ? input.domain.trim().toLowerCase() : null;
+
+  // Creating into a workspace requires the editor role
+  if (workspaceId) {
+    const role = await Workspace.getMemberRole(workspaceId, userId);
+    if (!Workspace.hasRole(role, 'editor')) {
+      return { error: 'You do not have permission to create links in this workspace' };
+    }
+  }
+
+  // Validate URL
+  try {
+    new URL(originalUrl);
+  } catch (urlError) {
+    return { error: 'Please provide a valid URL' };
+  }
+
+  // Every destination the link can send visitors to must pass the destination policy
+  const policy = await destinationPolicy.evaluateDestinations(destinationPolicy.getLinkDestinations({
+    originalUrl, rules, variants, unavailableUrl, fallbackUrl
+  }));
+  if (!policy.allowed) {
+    return { error: destinationPolicy.describeRejection(policy.reasons), policyReasons: policy.reasons };
+  }
+
+  // Custom domains must be verified and owned by the user or a workspace they can edit in
+  if (domain) {
+    const domainDoc = await Domain.findOne({ hostname: domain, verifiedAt: { $ne: null } });
+    if (!domainDoc || !domainDoc.isUsable()) {
+      return { error: 'Domain is not registered or not verified' };
+    }
+    const ownsDomain = String(domainDoc.userId) === String(userId);
+    const sharedRole = !ownsDomain && domainDoc.workspaceId
+      ? await Workspace.getMemberRole(domainDoc.workspaceId, userId)
+      : null;
+    if (!ownsDomain && !Workspace.hasRole(sharedRole, 'editor')) {
+      return { error: 'You do not have permission to use this domain' };
+    }
+  }
+
+  let shortCode;
+
+  // Handle custom short code
+  if (customCode) {
+    // Validate custom code format
+    if (!/^[a-zA-Z0-9_-]+$/.test(customCode) || customCode.length < 4 || customCode.length > 10) {
+      return {
+        error: 'Custom code must be 4-10 characters long and contain only letters, numbers, hyphens, and underscores'
+      };
+    }
+
+    // Atomic check for custom code availability on the chosen domain
+    const existingCustomCode = await Url.findOne({ shortCode: customCode, domain });
+    if (existingCustomCode) {
+      return { error: 'Custom short code is already taken' };
+    }
+    shortCode = customCode;
+  } else {
+    // Generate unique short code
+    shortCode = await Url.generateShortCode(6, domain);
+  }
+
+  // Validate expiry date
+  let parsedExpiryDate = null;
+  if (expiryDate) {
+    parsedExpiryDate = new Date(expiryDate);
+    if (parsedExpiryDate <= new Date()) {
+      return { error: 'Expiry date must be in the future' };
+    }
+  }
+
+  return {
+    urlData: {
+      originalUrl: originalUrl.trim(),
+      shortCode,
+      domain,
+      userId,
+      title: title?.trim() || '',
+      description: description?.trim() || '',
+      expiryDate: parsedExpiryDate,
+      tags: tags ? tags.map(tag => tag.trim()).filter(tag => tag.length > 0) : [],
+      password: password ? await Url.hashPassword(password) : null,
+      utm: extractUtm(input),
+      rules: Array.isArray(rules) ? rules : [],
+      variants: Array.isArray(variants) ? variants : [],
+      maxClicks: maxClicks ? parseInt(maxClicks, 10) : null,
+      activatesAt: activatesAt ? new Date(activatesAt) : null,
+      availabilityWindows: Array.isArray(availabilityWindows) ? availabilityWindows : [],
+      unavailableMessage: unavailableMessage?.trim() || '',
+      unavailableUrl: unavailableUrl?.trim() || null,
+      fallbackUrl: fallbackUrl?.trim() || null,
+      fallbackMessage: fallbackMessage?.trim() || '',
+      interstitial: interstitial === true || interstitial === 'true',
+      interstitialDelay: interstitialDelay !== undefined ? parseInt(interstitialDelay, 10) : undefined,
+      workspaceId: workspaceId || null
+    }
+  };
+};
+
+// Duplicate key on the { domain, shortCode } index
+const isShortCodeConflict = (error) => error.code === 11000 && 'shortCode' in (error.keyPattern || {});
+
+// Create the Url document and attach its QR code. A generated short code
+// that collides (very rare but possible) is regenerated once.
+const createUrlDocument = async(urlData) => {
+  let url;
+  try {
+    // Atomic create with duplicate key protection
+    url = await Url.create(urlData);
+  } catch (error) {
+    if (!isShortCodeConflict(error)) {
+      throw error;
+    }
+
+    console.log(`🔄 Short code collision detected: ${urlData.shortCode}, retrying...`);
+    urlData.shortCode = await Url.generateShortCode(6, urlData.domain);
+    url = await Url.create(urlData);
+  }
+
+  console.log(`✅ Created new URL: ${url.shortCode} for user ${url.userId}`);
+
+  // Generate QR Code
+  try {
+    url.qrCode = await QRCode.toDataURL(url.shortUrl);
+    await url.save();
+  } catch (qrError) {
+    console.error('QR Code generation failed:', qrError);
+    // Continue without QR code - not critical
+  }
+
+  webhooks.emitEvent(url.userId, 'url.created', { url: webhooks.serializeUrl(url) });
+
+  return url;
+};
+
+// Resolve a duplicate-key error from createUrlDocument: returns the user's
+// existing active URL for the same destination, or null
+const findExistingUrl = async(error, userId, originalUrl) => {
+  if (error.code !== 11000 || isShortCodeConflict(error)) {
+    return null;
+  }
+
+  return Url.findOne({
+    userId,
+    originalUrl: originalUrl.trim(),
+    isActive: true
+  }).select('+password');
+};
 
 // @desc    Create shortened URL
 // @route   POST /api/urls
@@ -23,8 +269,6 @@ const createShortUrl = async(req, res) => {
       });
     }
 
-    const { originalUrl, customCode, title, description, expiryDate, tags } = req.body;
-
     // Ensure authenticated user is present
     if (!req.user) {
       return res.status(401).json({ success: false, message: 'Authentication required' });
@@ -33,194 +277,69 @@ const createShortUrl = async(req, res) => {
     // Get userId from the authenticated user
     const userId = req.user._id || req.user.id;
 
-    // Validate URL
-    try {
-      new URL(originalUrl);
-    } catch (urlError) {
-      return res.status(400).json({
+    if (!req.user.emailVerified && await Url.countDocuments({ userId }) >= UNVERIFIED_URL_LIMIT) {
+      return res.status(403).json({
         success: false,
-        message: 'Please provide a valid URL'
+        message: `Verify your email address to create more than ${UNVERIFIED_URL_LIMIT} links`
       });
     }
 
-    // Atomic check and create to prevent race conditions for same URL
-    const normalizedUrl = originalUrl.trim();
-
-    let shortCode;
+    // Plan quota (links per day); responds with 429 when used up. The link is
+    // charged before it is created and refunded on every path that doesn't create it.
+    if (!await consumeQuota(req, res, 'urlsPerDay')) return;
 
-    // Handle custom short code
-    if (customCode) {
-      // Validate custom code format
-      if (!/^[a-zA-Z0-9_-]+$/.test(customCode) || customCode.length < 4 || customCode.length > 10) {
-        return res.status(400).json({
-          success: false,
-          message: 'Custom code must be 4-10 characters long and contain only letters, numbers, hyphens, and underscores'
-        });
-      }
-
-      // Atomic check for custom code availability
-      const existingCustomCode = await Url.findOne({ shortCode: customCode });
-      if (existingCustomCode) {
-        return res.status(400).json({
-          success: false,
-          message: 'Custom short code is already taken'
-        });
-      }
-      shortCode = customCode;
-    } else {
-      // Generate unique short code
-      shortCode = await Url.generateShortCode();
-    }
-
-    // Validate expiry date
-    let parsedExpiryDate = null;
-    if (expiryDate) {
-      parsedExpiryDate = new Date(expiryDate);
-      if (parsedExpiryDate <= new Date()) {
-        return res.status(400).json({
-          success: false,
-          message: 'Expiry date must be in the future'
-        });
-      }
+    const { urlData, error: inputError, policyReasons } = await prepareUrlData(userId, req.body);
+    if (inputError) {
+      await refundQuota(req, 'urlsPerDay');
+      return res.status(400).json({
+        success: false,
+        message: inputError,
+        ...(policyReasons && { policyReasons })
+      });
     }
 
-    // Create URL document with race condition protection
-    const urlData = {
-      originalUrl: normalizedUrl,
-      shortCode,
-      userId,
-      title: title?.trim() || '',
-      description: description?.trim() || '',
-      expiryDate: parsedExpiryDate,
-      tags: tags ? tags.map(tag => tag.trim()).filter(tag => tag.length > 0) : []
-    };
-
     try {
-      // Atomic create with duplicate key protection
-      const url = await Url.create(urlData);
-
-      // If we reach here, URL was created successfully
-      console.log(`✅ Created new URL: ${shortCode} for user ${userId}`);
-
-      // Generate QR Code
-      try {
-        const qrCodeDataUrl = await QRCode.toDataURL(url.shortUrl);
-        url.qrCode = qrCodeDataUrl;
-        await url.save();
-      } catch (qrError) {
-        console.error('QR Code generation failed:', qrError);
-        // Continue without QR code - not critical
-      }
+      const url = await createUrlDocument(urlData);
 
       return res.status(201).json({
         success: true,
         message: 'URL shortened successfully',
         data: {
-          url: {
-            id: url._id,
-            originalUrl: url.originalUrl,
-            shortCode: url.shortCode,
-            shortUrl: url.shortUrl,
-            title: url.title,
-            description: url.description,
-            clicks: url.clicks,
-            expiryDate: url.expiryDate,
-            qrCode: url.qrCode,
-            tags: url.tags,
-            createdAt: url.createdAt
-          }
+          url: formatCreatedUrl(url)
         }
       });
 
     } catch (error) {
+      await refundQuota(req, 'urlsPerDay');
+
       // Handle race conditions and duplicate keys
-      if (error.code === 11000) {
-        const duplicateField = Object.keys(error.keyPattern || {})[0];
-
-        if (duplicateField === 'shortCode') {
-          // Short code collision - this is very rare but possible
-          console.log(`🔄 Short code collision detected: ${shortCode}, retrying...`);
-
-          // Generate a new short code and retry once
-          try {
-            const newShortCode = await Url.generateShortCode();
-            urlData.shortCode = newShortCode;
-            const retryUrl = await Url.create(urlData);
-
-            // Generate QR Code for retry
-            try {
-              const qrCodeDataUrl = await QRCode.toDataURL(retryUrl.shortUrl);
-              retryUrl.qrCode = qrCodeDataUrl;
-              await retryUrl.save();
-            } catch (qrError) {
-              console.error('QR Code generation failed on retry:', qrError);
-            }
-
-            return res.status(201).json({
-              success: true,
-              message: 'URL shortened successfully',
-              data: {
-                url: {
-                  id: retryUrl._id,
-                  originalUrl: retryUrl.originalUrl,
-                  shortCode: retryUrl.shortCode,
-                  shortUrl: retryUrl.shortUrl,
-                  title: retryUrl.title,
-                  description: retryUrl.description,
-                  clicks: retryUrl.clicks,
-                  expiryDate: retryUrl.expiryDate,
-                  qrCode: retryUrl.qrCode,
-                  tags: retryUrl.tags,
-                  createdAt: retryUrl.createdAt
-                }
-              }
-            });
-          } catch (retryError) {
-            console.error('Failed to create URL after retry:', retryError);
-            return res.status(500).json({
-              success: false,
-              message: 'Failed to generate unique short code. Please try again.'
-            });
-          }
-        } else {
-          // Check if this user already has this URL (race condition resolution)
-          const existingUrl = await Url.findOne({
-            userId,
-            originalUrl: normalizedUrl,
-            isActive: true
-          });
+      if (isShortCodeConflict(error)) {
+        console.error('Failed to create URL after retry:', error);
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to generate unique short code. Please try again.'
+        });
+      }
 
-          if (existingUrl) {
-            console.log(`🔄 Race condition detected - returning existing URL: ${existingUrl.shortCode}`);
-            return res.status(200).json({
-              success: true,
-              message: 'URL already exists',
-              data: {
-                url: {
-                  id: existingUrl._id,
-                  originalUrl: existingUrl.originalUrl,
-                  shortCode: existingUrl.shortCode,
-                  shortUrl: existingUrl.shortUrl,
-                  title: existingUrl.title,
-                  description: existingUrl.description,
-                  clicks: existingUrl.clicks,
-                  expiryDate: existingUrl.expiryDate,
-                  qrCode: existingUrl.qrCode,
-                  tags: existingUrl.tags,
-                  createdAt: existingUrl.createdAt
-                }
-              }
-            });
+      // Check if this user already has this URL (race condition resolution)
+      const existingUrl = await findExistingUrl(error, userId, urlData.originalUrl);
+      if (existingUrl) {
+        console.log(`🔄 Race condition detected - returning existing URL: ${existingUrl.shortCode}`);
+        return res.status(200).json({
+          success: true,
+          message: 'URL already exists',
+          data: {
+            url: formatCreatedUrl(existingUrl)
           }
-        }
+        });
       }
 
       throw error; // Re-throw if not a handled duplicate key error
     }
 
-
   } catch (error) {
     console.error('Create Short URL Error:', error);
+    await refundQuota(req, 'urlsPerDay');
 
     if (error.name === 'ValidationError') {
       const validationErrors = Object.values(error.errors).map(err => ({
@@ -242,11 +361,265 @@ const createShortUrl = async(req, res) => {
   }
 };
 
+// Turn an uploaded/posted CSV or JSON payload into raw import rows
+const parseBulkRows = (req) => {
+  const csvText = req.file
+    ? req.file.buffer.toString('utf8')
+    : (typeof req.body === 'string' ? req.body : null);
+
+  if (csvText !== null) {
+    const records = parse(csvText, {
+      columns: header => header.map(column => column.trim()),
+      skip_empty_lines: true,
+      trim: true,
+      bom: true
+    });
+
+    // Empty cells mean "not provided"; tags are separated by ; or |
+    return records.map(record => {
+      const row = {};
+      Object.entries(record).forEach(([key, value]) => {
+        if (value !== '') row[key] = value;
+      });
+      if (row.tags !== undefined) {
+        row.tags = row.tags.split(/[;|]/).map(tag => tag.trim()).filter(Boolean);
+      }
+      return row;
+    });
+  }
+
+  const rows = Array.isArray(req.body) ? req.body : req.body?.urls;
+  if (!Array.isArray(rows)) return null;
+
+  return rows.map(row => {
+    const normalized = row && typeof row === 'object' && !Array.isArray(row) ? { ...row } : {};
+    if (typeof normalized.tags === 'string') {
+      normalized.tags = normalized.tags.split(/[;|,]/).map(tag => tag.trim()).filter(Boolean);
+    }
+    return normalized;
+  });
+};
+
+// Validate and create a single import row; never throws
+const createBulkRow = async(userId, row, index) => {
+  const result = { row: index + 1, originalUrl: row.originalUrl || null };
+
+  try {
+    // Run the same express-validator chains as POST /api/urls against the row
+    const rowReq = { body: row };
+    for (const chain of createUrlValidation) {
+      await chain.run(rowReq);
+    }
+    const errors = validationResult(rowReq);
+    if (!errors.isEmpty()) {
+      return { ...result, success: false, error: 'Validation failed', errors: errors.array() };
+    }
+
+    const { urlData, error: inputError, policyReasons } = await prepareUrlData(userId, rowReq.body);
+    if (inputError) {
+      return { ...result, success: false, error: inputError, ...(policyReasons && { policyReasons }) };
+    }
+
+    try {
+      const url = await createUrlDocument(urlData);
+      return { ...result, success: true, id: url._id, shortCode: url.shortCode, shortUrl: url.shortUrl };
+    } catch (error) {
+      const existingUrl = await findExistingUrl(error, userId, urlData.originalUrl);
+      if (existingUrl) {
+        return {
+          ...result,
+          success: true,
+          existing: true,
+          id: existingUrl._id,
+          shortCode: existingUrl.shortCode,
+          shortUrl: existingUrl.shortUrl
+        };
+      }
+      throw error;
+    }
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return {
+        ...result,
+        success: false,
+        error: 'Validation failed',
+        errors: Object.values(error.errors).map(err => ({ field: err.path, message: err.message }))
+      };
+    }
+    console.error(`Bulk create error on row ${index + 1}:`, error);
+    return { ...result, success: false, error: 'Server error while creating short URL' };
+  }
+};
+
+// @desc    Create many shortened URLs from a JSON array or CSV upload
+// @route   POST /api/urls/bulk
+// @access  Private
+const bulkCreateUrls = async(req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+
+    if (!req.user.emailVerified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Verify your email address to use bulk import'
+      });
+    }
+
+    let rows;
+    try {
+      rows = parseBulkRows(req);
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        message: `Could not parse CSV: ${parseError.message}`
+      });
+    }
+
+    if (!rows || rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide a JSON array of URLs, { urls: [...] }, or a CSV file'
+      });
+    }
+
+    if (rows.length > BULK_MAX_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot import more than ${BULK_MAX_ROWS} URLs at once`
+      });
+    }
+
+    // The whole import is charged against the plan quota up front; rows that
+    // don't create a new link are refunded once the import is done
+    if (!await consumeQuota(req, res, 'urlsPerDay', rows.length)) return;
+
+    // Create in batches so a large import doesn't flood the connection pool
+    const results = [];
+    for (let start = 0; start < rows.length; start += BULK_BATCH_SIZE) {
+      const batch = rows.slice(start, start + BULK_BATCH_SIZE);
+      const batchResults = await Promise.all(
+        batch.map((row, offset) => createBulkRow(userId, row, start + offset))
+      );
+      results.push(...batchResults);
+    }
+
+    const succeeded = results.filter(result => result.success).length;
+    const created = results.filter(result => result.success && !result.existing).length;
+    await refundQuota(req, 'urlsPerDay', rows.length - created);
+    console.log(`📥 Bulk import for user ${userId}: ${succeeded}/${rows.length} succeeded`);
+
+    res.status(succeeded > 0 ? 201 : 400).json({
+      success: succeeded > 0,
+      message: `Created ${succeeded} of ${rows.length} URLs`,
+      data: {
+        total: rows.length,
+        succeeded,
+        failed: rows.length - succeeded,
+        results
+      }
+    });
+
+  } catch (error) {
+    console.error('Bulk Create URLs Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during bulk import'
+    });
+  }
+};
+
+// Build the Url filter shared by GET /api/urls and GET /api/urls/export.
+// `scope` is { userId } for personal links or { workspaceId } for a workspace.
+const buildUrlListQuery = (scope, filters) => {
+  const { search, minClicks = 0, maxClicks = null, tags, campaign, status, includeInactive } = filters;
+
+  // Build query
+  const query = scope.workspaceId ? { workspaceId: scope.workspaceId } : { userId: scope.userId, workspaceId: null };
+
+  // A status filter replaces the default active-only view
+  if (status) {
+    query.$and = [buildStatusFilter(status)];
+  } else if (!includeInactive) {
+    query.isActive = true;
+    query.$or = [
+      { expiryDate: null },
+      { expiryDate: { $gt: new Date() } }
+    ];
+  }
+
+  // Search filter
+  if (search) {
+    query.$and = query.$and || [];
+    query.$and.push({
+      $or: [
+        { originalUrl: { $regex: search, $options: 'i' } },
+        { title: { $regex: search, $options: 'i' } },
+        { description: { $regex: search, $options: 'i' } },
+        { shortCode: { $regex: search, $options: 'i' } }
+      ]
+    });
+  }
+
+  // Click filters
+  if (minClicks > 0) {
+    query.clicks = { $gte: parseInt(minClicks, 10) };
+  }
+  if (maxClicks !== null && maxClicks > 0) {
+    query.clicks = { ...query.clicks, $lte: parseInt(maxClicks, 10) };
+  }
+
+  // Tags filter
+  if (tags) {
+    const tagArray = tags.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0);
+    if (tagArray.length > 0) {
+      query.tags = { $in: tagArray };
+    }
+  }
+
+  // Campaign filter
+  if (campaign) {
+    query['utm.campaign'] = campaign.trim();
+  }
+
+  return query;
+};
+
+// Resolve the list scope for GET /api/urls and GET /api/urls/export; listing
+// a workspace's links requires membership. Returns { scope } or { status, message }.
+const resolveListScope = async(userId, workspaceId) => {
+  if (!workspaceId) {
+    return { scope: { userId } };
+  }
+
+  const role = mongoose.isValidObjectId(workspaceId) ? await Workspace.getMemberRole(workspaceId, userId) : null;
+  if (!role) {
+    return { status: 404, message: 'Workspace not found' };
+  }
+  return { scope: { workspaceId } };
+};
+
+// Sort options shared by GET /api/urls and GET /api/urls/export
+const getUrlListSort = (sortBy, sortOrder) => {
+  const validSortFields = ['createdAt', 'clicks', 'lastClicked', 'originalUrl', 'title'];
+  const sortField = validSortFields.includes(sortBy) ? sortBy : 'createdAt';
+  return { [sortField]: sortOrder === 'asc' ? 1 : -1 };
+};
+
 // @desc    Get user's URLs with analytics
 // @route   GET /api/urls
 // @access  Private
 const getUserUrls = async(req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const userId = req.user.id;
     const {
       page = 1,
@@ -257,48 +630,23 @@ const getUserUrls = async(req, res) => {
       minClicks = 0,
       maxClicks = null,
       tags = '',
+      campaign = '',
+      workspaceId = '',
+      status = '',
       includeInactive = false
     } = req.query;
 
-    // Build query
-    const query = { userId };
-
-    if (!includeInactive) {
-      query.isActive = true;
-      query.$or = [
-        { expiryDate: null },
-        { expiryDate: { $gt: new Date() } }
-      ];
-    }
-
-    // Search filter
-    if (search) {
-      query.$and = query.$and || [];
-      query.$and.push({
-        $or: [
-          { originalUrl: { $regex: search, $options: 'i' } },
-          { title: { $regex: search, $options: 'i' } },
-          { description: { $regex: search, $options: 'i' } },
-          { shortCode: { $regex: search, $options: 'i' } }
-        ]
+    const listScope = await resolveListScope(userId, workspaceId);
+    if (!listScope.scope) {
+      return res.status(listScope.status).json({
+        success: false,
+        message: listScope.message
       });
     }
 
-    // Click filters
-    if (minClicks > 0) {
-      query.clicks = { $gte: parseInt(minClicks, 10) };
-    }
-    if (maxClicks !== null && maxClicks > 0) {
-      query.clicks = { ...query.clicks, $lte: parseInt(maxClicks, 10) };
-    }
-
-    // Tags filter
-    if (tags) {
-      const tagArray = tags.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0);
-      if (tagArray.length > 0) {
-        query.tags = { $in: tagArray };
-      }
-    }
+    const query = buildUrlListQuery(listScope.scope, {
+      search, minClicks, maxClicks, tags, campaign, status, includeInactive
+    });
 
     // Pagination
     const pageNum = Math.max(1, parseInt(page, 10));
@@ -306,14 +654,13 @@ const getUserUrls = async(req, res) => {
     const skip = (pageNum - 1) * limitNum;
 
     // Sort options
-    const validSortFields = ['createdAt', 'clicks', 'lastClicked', 'originalUrl', 'title'];
-    const sortField = validSortFields.includes(sortBy) ? sortBy : 'createdAt';
-    const sortDir = sortOrder === 'asc' ? 1 : -1;
+    const sort = getUrlListSort(sortBy, sortOrder);
 
     // Execute query with pagination
     const [urls, totalCount] = await Promise.all([
       Url.find(query)
-        .sort({ [sortField]: sortDir })
+        .select('+password')
+        .sort(sort)
         .skip(skip)
         .limit(limitNum)
         .lean(),
@@ -321,17 +668,24 @@ const getUserUrls = async(req, res) => {
     ]);
 
     // Calculate analytics
+    const now = new Date();
     const totalClicks = urls.reduce((sum, url) => sum + url.clicks, 0);
-    const activeUrls = urls.filter(url => url.isActive && (!url.expiryDate || url.expiryDate > new Date())).length;
+    const statuses = urls.map(url => getLinkStatus(url, now));
+    const activeUrls = statuses.filter(linkStatus => linkStatus === 'active').length;
+    const statusCounts = LINK_STATUSES.reduce((counts, linkStatus) => {
+      counts[linkStatus] = statuses.filter(value => value === linkStatus).length;
+      return counts;
+    }, {});
 
     res.json({
       success: true,
       data: {
-        urls: urls.map(url => ({
+        urls: urls.map((url, index) => ({
           id: url._id,
           originalUrl: url.originalUrl,
           shortCode: url.shortCode,
-          shortUrl: `${process.env.BASE_URL || 'http://localhost:5001'}/${url.shortCode}`,
+          shortUrl: Url.buildShortUrl(url.shortCode, url.domain),
+          domain: url.domain,
           title: url.title,
           description: url.description,
           clicks: url.clicks,
@@ -340,6 +694,24 @@ const getUserUrls = async(req, res) => {
           expiryDate: url.expiryDate,
           qrCode: url.qrCode,
           tags: url.tags,
+          isPasswordProtected: Boolean(url.password),
+          utm: url.utm,
+          rules: url.rules,
+          variants: url.variants,
+          maxClicks: url.maxClicks,
+          remainingClicks: getRemainingClicks(url),
+          activatesAt: url.activatesAt,
+          availabilityWindows: url.availabilityWindows,
+          fallbackUrl: url.fallbackUrl,
+          fallbackMessage: url.fallbackMessage,
+          interstitial: url.interstitial,
+          interstitialDelay: url.interstitialDelay,
+          policyStatus: url.policyStatus,
+          adminDisabledAt: url.adminDisabledAt,
+          adminDisabledReason: url.adminDisabledReason,
+          status: statuses[index],
+          isAvailableNow: statuses[index] === 'active' && isWithinAvailability(url, now),
+          workspaceId: url.workspaceId,
           clickRate: url.clickRate,
           createdAt: url.createdAt,
           updatedAt: url.updatedAt
@@ -355,6 +727,7 @@ const getUserUrls = async(req, res) => {
           totalUrls: totalCount,
           activeUrls,
           inactiveUrls: totalCount - activeUrls,
+          statusCounts,
           totalClicks
         }
       }
@@ -369,50 +742,286 @@ const getUserUrls = async(req, res) => {
   }
 };
 
-// @desc    Get URL analytics
-// @route   GET /api/urls/:id/analytics
+// Columns written by GET /api/urls/export
+const URL_EXPORT_COLUMNS = [
+  'id', 'shortCode', 'shortUrl', 'domain', 'originalUrl', 'title', 'description', 'tags', 'clicks',
+  'lastClicked', 'isActive', 'expiryDate', 'isPasswordProtected', 'utmSource', 'utmMedium',
+  'utmCampaign', 'utmTerm', 'utmContent', 'maxClicks', 'remainingClicks', 'activatesAt', 'status', 'workspaceId', 'createdAt', 'updatedAt'
+];
+
+// Columns written by GET /api/urls/:id/clicks/export
+const CLICK_EXPORT_COLUMNS = [
+  'timestamp', 'ip', 'userAgent', 'referer', 'refererDomain', 'browser', 'os', 'deviceType', 'country', 'ruleId', 'variantId'
+];
+
+const toUrlExportRecord = (url) => ({
+  id: url._id,
+  shortCode: url.shortCode,
+  shortUrl: Url.buildShortUrl(url.shortCode, url.domain),
+  domain: url.domain || null,
+  originalUrl: url.originalUrl,
+  title: url.title,
+  description: url.description,
+  tags: url.tags || [],
+  clicks: url.clicks,
+  lastClicked: url.lastClicked,
+  isActive: url.isActive,
+  expiryDate: url.expiryDate,
+  isPasswordProtected: Boolean(url.password),
+  utmSource: url.utm?.source || null,
+  utmMedium: url.utm?.medium || null,
+  utmCampaign: url.utm?.campaign || null,
+  utmTerm: url.utm?.term || null,
+  utmContent: url.utm?.content || null,
+  maxClicks: url.maxClicks || null,
+  remainingClicks: getRemainingClicks(url),
+  activatesAt: url.activatesAt || null,
+  status: getLinkStatus(url),
+  workspaceId: url.workspaceId || null,
+  createdAt: url.createdAt,
+  updatedAt: url.updatedAt
+});
+
+// Stream a query cursor to the response as CSV or NDJSON without buffering
+// the result set. Respects backpressure so large exports stay memory-bound.
+const streamExport = async(res, cursor, { format, filename, columns, toRecord }) => {
+  const isCsv = format === 'csv';
+
+  res.set({
+    'Content-Type': isCsv ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${filename}.${isCsv ? 'csv' : 'ndjson'}"`,
+    'Cache-Control': 'no-store'
+  });
+
+  // Stop reading from MongoDB if the client goes away
+  let clientClosed = false;
+  res.on('close', () => {
+    clientClosed = true;
+  });
+
+  // Wait for the buffer to drain under backpressure. A client that disconnects
+  // meanwhile never drains it, so closing (or an error) also ends the wait.
+  const write = (chunk) => {
+    if (clientClosed || res.write(chunk)) return Promise.resolve();
+
+    return new Promise((resolve) => {
+      const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        res.off('error', done);
+        resolve();
+      };
+      res.on('drain', done);
+      res.on('close', done);
+      res.on('error', done);
+    });
+  };
+
+  let count = 0;
+  try {
+    if (isCsv) {
+      await write(toCsvRow(columns));
+    }
+
+    for await (const doc of cursor) {
+      if (clientClosed) break;
+      const record = toRecord(doc);
+      await write(isCsv
+        ? toCsvRow(columns.map(column => (Array.isArray(record[column]) ? record[column].join(';') : record[column])))
+        : JSON.stringify(record) + '\n');
+      count += 1;
+    }
+  } finally {
+    await cursor.close();
+  }
+
+  res.end();
+  return count;
+};
+
+// @desc    Export the user's URLs with stats as CSV or NDJSON
+// @route   GET /api/urls/export
 // @access  Private
-const getUrlAnalytics = async(req, res) => {
+const exportUserUrls = async(req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userId = req.user.id;
+    const {
+      format = 'csv',
+      sortBy = 'createdAt',
+      sortOrder = 'desc',
+      search = '',
+      minClicks = 0,
+      maxClicks = null,
+      tags = '',
+      campaign = '',
+      workspaceId = '',
+      status = '',
+      includeInactive = false
+    } = req.query;
+
+    const listScope = await resolveListScope(userId, workspaceId);
+    if (!listScope.scope) {
+      return res.status(listScope.status).json({
+        success: false,
+        message: listScope.message
+      });
+    }
+
+    const query = buildUrlListQuery(listScope.scope, {
+      search, minClicks, maxClicks, tags, campaign, status, includeInactive
+    });
+
+    const cursor = Url.find(query)
+      .select('+password -qrCode -dailyStats')
+      .sort(getUrlListSort(sortBy, sortOrder))
+      .lean()
+      .cursor({ batchSize: 500 });
+
+    const count = await streamExport(res, cursor, {
+      format,
+      filename: `urls-${new Date().toISOString().slice(0, 10)}`,
+      columns: URL_EXPORT_COLUMNS,
+      toRecord: toUrlExportRecord
+    });
+
+    console.log(`📤 Exported ${count} URLs for user ${userId} as ${format}`);
+
+  } catch (error) {
+    console.error('Export URLs Error:', error);
+
+    // Headers are already gone once streaming has started
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting URLs'
+    });
+  }
+};
+
+// @desc    Export the raw click events of a URL as CSV or NDJSON
+// @route   GET /api/urls/:id/clicks/export
+// @access  Private
+const exportUrlClicks = async(req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const { id } = req.params;
     const userId = req.user.id;
+    const { format = 'csv' } = req.query;
 
-    const url = await Url.findOne({ _id: id, userId });
+    const { url, status, message } = await findAuthorizedUrl(id, userId, 'viewer', 'shortCode workspaceId userId');
 
     if (!url) {
-      return res.status(404).json({
+      return res.status(status).json({
         success: false,
-        message: 'URL not found'
+        message
       });
     }
 
-    // Calculate daily stats for last 30 days
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+    const cursor = Click.find({ urlId: url._id })
+      .select(`-_id ${CLICK_EXPORT_COLUMNS.join(' ')}`)
+      .sort({ timestamp: 1 })
+      .lean()
+      .cursor({ batchSize: 1000 });
+
+    const count = await streamExport(res, cursor, {
+      format,
+      filename: `clicks-${url.shortCode}`,
+      columns: CLICK_EXPORT_COLUMNS,
+      toRecord: click => click
+    });
 
-    const recentStats = url.dailyStats
-      .filter(stat => stat.date >= thirtyDaysAgo)
-      .sort((a, b) => a.date - b.date);
+    console.log(`📤 Exported ${count} clicks for ${url.shortCode} as ${format}`);
 
-    // Calculate weekly and monthly totals
-    const sevenDaysAgo = new Date();
-    sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
+  } catch (error) {
+    console.error('Export Clicks Error:', error);
 
-    const weeklyClicks = url.dailyStats
-      .filter(stat => stat.date >= sevenDaysAgo)
-      .reduce((sum, stat) => sum + stat.clicks, 0);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
 
-    const monthlyClicks = recentStats.reduce((sum, stat) => sum + stat.clicks, 0);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting clicks'
+    });
+  }
+};
+
+// @desc    Get URL analytics
+// @route   GET /api/urls/:id/analytics
+// @access  Private
+const getUrlAnalytics = async(req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const { url, status, message } = await findAuthorizedUrl(id, userId, 'viewer');
+
+    if (!url) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    // Aggregate over the full click history for this URL
+    const clickStats = await Click.getUrlStats(url._id, { days: 30 });
+
+    // Clicks per redirect rule; deleted rules keep their counts without a name
+    const rulesById = new Map(url.rules.map(rule => [String(rule._id), rule]));
+    const ruleStats = clickStats.ruleStats.map(stat => {
+      const rule = stat.ruleId ? rulesById.get(String(stat.ruleId)) : null;
+      return {
+        ruleId: stat.ruleId,
+        isDefault: !stat.ruleId,
+        name: rule ? rule.name : null,
+        destination: stat.ruleId ? (rule ? rule.destination : null) : url.originalUrl,
+        clicks: stat.clicks
+      };
+    });
+
+    // A/B variants side by side, including those with no clicks yet
+    const variantClicks = new Map(clickStats.variantStats.map(stat => [String(stat.variantId), stat]));
+    const totalWeight = url.variants.reduce((sum, variant) => sum + variant.weight, 0);
+    const totalVariantClicks = clickStats.variantStats.reduce((sum, stat) => sum + stat.clicks, 0);
+    const variantStats = url.variants.map(variant => {
+      const stat = variantClicks.get(String(variant._id));
+      const clicks = stat ? stat.clicks : 0;
+      return {
+        variantId: variant._id,
+        name: variant.name,
+        destination: variant.destination,
+        weight: variant.weight,
+        expectedShare: totalWeight ? Math.round((variant.weight / totalWeight) * 10000) / 100 : 0,
+        clicks,
+        last7Days: stat ? stat.last7Days : 0,
+        share: totalVariantClicks ? Math.round((clicks / totalVariantClicks) * 10000) / 100 : 0
+      };
+    });
 
-    // Recent clicks analysis
     const recentClicksAnalysis = {
-      total: url.recentClicks.length,
-      last24Hours: url.recentClicks.filter(click =>
-        click.timestamp >= new Date(Date.now() - 24 * 60 * 60 * 1000)
-      ).length,
-      last7Days: url.recentClicks.filter(click =>
-        click.timestamp >= sevenDaysAgo
-      ).length
+      total: clickStats.total,
+      last24Hours: clickStats.last24Hours,
+      last7Days: clickStats.last7Days
     };
 
     res.json({
@@ -423,25 +1032,28 @@ const getUrlAnalytics = async(req, res) => {
           originalUrl: url.originalUrl,
           shortCode: url.shortCode,
           shortUrl: url.shortUrl,
+          domain: url.domain,
           title: url.title,
           clicks: url.clicks,
           lastClicked: url.lastClicked,
+          status: url.getStatus(),
+          workspaceId: url.workspaceId,
           createdAt: url.createdAt
         },
         analytics: {
           totalClicks: url.clicks,
-          weeklyClicks,
-          monthlyClicks,
+          weeklyClicks: clickStats.last7Days,
+          monthlyClicks: clickStats.lastPeriod,
           clickRate: url.clickRate,
           recentClicks: recentClicksAnalysis,
-          dailyStats: recentStats,
-          topReferrers: url.recentClicks
-            .filter(click => click.referer)
-            .reduce((acc, click) => {
-              const domain = new URL(click.referer).hostname;
-              acc[domain] = (acc[domain] || 0) + 1;
-              return acc;
-            }, {}),
+          dailyStats: clickStats.dailyStats,
+          topReferrers: clickStats.topReferrers,
+          topCountries: clickStats.topCountries,
+          topBrowsers: clickStats.topBrowsers,
+          topOperatingSystems: clickStats.topOperatingSystems,
+          topDevices: clickStats.topDevices,
+          ruleStats,
+          variantStats,
           isExpired: url.isExpired()
         }
       }
@@ -456,21 +1068,81 @@ const getUrlAnalytics = async(req, res) => {
   }
 };
 
+// @desc    Get click totals per UTM campaign across the user's URLs
+// @route   GET /api/urls/campaigns
+// @access  Private
+const getCampaignAnalytics = async(req, res) => {
+  try {
+    const userId = req.user._id;
+
+    const campaigns = await Url.aggregate([
+      { $match: { userId, 'utm.campaign': { $nin: [null, ''] } } },
+      {
+        $group: {
+          _id: '$utm.campaign',
+          urls: { $sum: 1 },
+          totalClicks: { $sum: '$clicks' },
+          lastClicked: { $max: '$lastClicked' },
+          sources: { $addToSet: '$utm.source' },
+          mediums: { $addToSet: '$utm.medium' }
+        }
+      },
+      { $sort: { totalClicks: -1 } }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        campaigns: campaigns.map(campaign => ({
+          campaign: campaign._id,
+          urls: campaign.urls,
+          totalClicks: campaign.totalClicks,
+          lastClicked: campaign.lastClicked,
+          sources: campaign.sources.filter(Boolean),
+          mediums: campaign.mediums.filter(Boolean)
+        })),
+        totalCampaigns: campaigns.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get Campaign Analytics Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching campaign analytics'
+    });
+  }
+};
+
 // @desc    Update URL
 // @route   PUT /api/urls/:id
 // @access  Private
 const updateUrl = async(req, res) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const { id } = req.params;
     const userId = req.user.id;
-    const { originalUrl, title, description, expiryDate, tags, isActive } = req.body;
+    const {
+      originalUrl, title, description, expiryDate, tags, isActive, password, rules, variants, maxClicks,
+      activatesAt, availabilityWindows, unavailableMessage, unavailableUrl, fallbackUrl, fallbackMessage,
+      interstitial, interstitialDelay
+    } = req.body;
 
-    const url = await Url.findOne({ _id: id, userId });
+    const { url, status, message } = await findAuthorizedUrl(id, userId, 'editor');
 
     if (!url) {
-      return res.status(404).json({
+      return res.status(status).json({
         success: false,
-        message: 'URL not found'
+        message
       });
     }
 
@@ -514,19 +1186,79 @@ const updateUrl = async(req, res) => {
     if (originalUrl !== undefined) updateData.originalUrl = originalUrl.trim();
     if (title !== undefined) updateData.title = title?.trim() || '';
     if (description !== undefined) updateData.description = description?.trim() || '';
-    if (expiryDate !== undefined) updateData.expiryDate = parsedExpiryDate;
+    if (expiryDate !== undefined) {
+      updateData.expiryDate = parsedExpiryDate;
+      updateData.expiryNotifiedAt = null; // Re-arm the url.expired webhook event
+    }
     if (tags !== undefined) {
       updateData.tags = Array.isArray(tags)
         ? tags.map(tag => tag.trim()).filter(tag => tag.length > 0)
         : [];
     }
     if (isActive !== undefined) updateData.isActive = Boolean(isActive);
+    if (password !== undefined) {
+      // null or empty string removes password protection
+      updateData.password = password ? await Url.hashPassword(password) : null;
+    }
+    Object.entries(extractUtm(req.body)).forEach(([key, value]) => {
+      updateData[`utm.${key}`] = value;
+    });
+    if (rules !== undefined) updateData.rules = Array.isArray(rules) ? rules : [];
+    if (variants !== undefined) updateData.variants = Array.isArray(variants) ? variants : [];
+    if (maxClicks !== undefined) {
+      // null or empty removes the limit; a newly added limit counts clicks from now
+      updateData.maxClicks = maxClicks ? parseInt(maxClicks, 10) : null;
+      if (!url.maxClicks) updateData.usedClicks = 0;
+    }
+    if (activatesAt !== undefined) updateData.activatesAt = activatesAt ? new Date(activatesAt) : null;
+    if (availabilityWindows !== undefined) {
+      updateData.availabilityWindows = Array.isArray(availabilityWindows) ? availabilityWindows : [];
+    }
+    if (unavailableMessage !== undefined) updateData.unavailableMessage = unavailableMessage?.trim() || '';
+    if (unavailableUrl !== undefined) updateData.unavailableUrl = unavailableUrl?.trim() || null;
+    if (fallbackUrl !== undefined) updateData.fallbackUrl = fallbackUrl?.trim() || null;
+    if (fallbackMessage !== undefined) updateData.fallbackMessage = fallbackMessage?.trim() || '';
+    if (interstitial !== undefined) updateData.interstitial = interstitial === true || interstitial === 'true';
+    if (interstitialDelay !== undefined) updateData.interstitialDelay = parseInt(interstitialDelay, 10);
+
+    // Re-check the destination policy when any destination changes
+    const destinationFields = ['originalUrl', 'rules', 'variants', 'unavailableUrl', 'fallbackUrl'];
+    const changesDestination = destinationFields.some(field => updateData[field] !== undefined);
+    if (changesDestination) {
+      const policy = await destinationPolicy.evaluateLink({ ...url.toObject(), ...updateData });
+      if (!policy.allowed) {
+        return res.status(400).json({
+          success: false,
+          message: destinationPolicy.describeRejection(policy.reasons),
+          policyReasons: policy.reasons
+        });
+      }
+
+      // A review decision covered the old destinations only
+      if (['flagged', 'approved'].includes(url.policyStatus)) {
+        updateData.policyStatus = 'clear';
+      }
+    }
 
     const updatedUrl = await Url.findByIdAndUpdate(
       id,
       updateData,
       { new: true, runValidators: true }
-    );
+    ).select('+password');
+
+    // Drop the cached redirect entry so the change applies immediately
+    urlCache.invalidate(url.shortCode, url.domain);
+
+    // The owner fixed a flagged link's destination, so its review is moot
+    if (url.policyStatus === 'flagged' && updateData.policyStatus === 'clear') {
+      await LinkReview.updateMany({ urlId: url._id, status: 'pending' }, { $set: { status: 'resolved' } });
+    }
+
+    webhooks.emitEvent(updatedUrl.userId, 'url.updated', {
+      url: webhooks.serializeUrl(updatedUrl),
+      changes: Object.keys(updateData)
+        .filter(field => !['password', 'expiryNotifiedAt', 'usedClicks', 'policyStatus'].includes(field))
+    });
 
     res.json({
       success: true,
@@ -537,6 +1269,7 @@ const updateUrl = async(req, res) => {
           originalUrl: updatedUrl.originalUrl,
           shortCode: updatedUrl.shortCode,
           shortUrl: updatedUrl.shortUrl,
+          domain: updatedUrl.domain,
           title: updatedUrl.title,
           description: updatedUrl.description,
           clicks: updatedUrl.clicks,
@@ -545,6 +1278,25 @@ const updateUrl = async(req, res) => {
           expiryDate: updatedUrl.expiryDate,
           qrCode: updatedUrl.qrCode,
           tags: updatedUrl.tags,
+          isPasswordProtected: Boolean(updatedUrl.password),
+          utm: updatedUrl.utm,
+          rules: updatedUrl.rules,
+          variants: updatedUrl.variants,
+          maxClicks: updatedUrl.maxClicks,
+          remainingClicks: getRemainingClicks(updatedUrl),
+          activatesAt: updatedUrl.activatesAt,
+          availabilityWindows: updatedUrl.availabilityWindows,
+          unavailableMessage: updatedUrl.unavailableMessage,
+          unavailableUrl: updatedUrl.unavailableUrl,
+          fallbackUrl: updatedUrl.fallbackUrl,
+          fallbackMessage: updatedUrl.fallbackMessage,
+          interstitial: updatedUrl.interstitial,
+          interstitialDelay: updatedUrl.interstitialDelay,
+          policyStatus: updatedUrl.policyStatus,
+          adminDisabledAt: updatedUrl.adminDisabledAt,
+          adminDisabledReason: updatedUrl.adminDisabledReason,
+          status: updatedUrl.getStatus(),
+          workspaceId: updatedUrl.workspaceId,
           createdAt: updatedUrl.createdAt,
           updatedAt: updatedUrl.updatedAt
         }
@@ -582,19 +1334,28 @@ const deleteUrl = async(req, res) => {
     const { id } = req.params;
     const userId = req.user.id;
 
-    const url = await Url.findOne({ _id: id, userId });
+    const { url, status, message } = await findAuthorizedUrl(id, userId, 'editor');
 
     if (!url) {
-      return res.status(404).json({
+      return res.status(status).json({
         success: false,
-        message: 'URL not found'
+        message
       });
     }
 
     await Url.findByIdAndDelete(id);
+    urlCache.invalidate(url.shortCode, url.domain);
+
+    // Remove the URL's click history and webhook click counters
+    await Promise.all([
+      Click.deleteMany({ urlId: url._id }),
+      WebhookClickCounter.deleteMany({ urlId: url._id })
+    ]);
+
+    webhooks.emitEvent(url.userId, 'url.deleted', { url: webhooks.serializeUrl(url) });
 
-    // Update user's URL count
-    await User.findByIdAndUpdate(userId, { $inc: { urlCount: -1 } });
+    // Update the creator's URL count
+    await User.findByIdAndUpdate(url.userId, { $inc: { urlCount: -1 } });
 
     res.json({
       success: true,
@@ -612,8 +1373,12 @@ const deleteUrl = async(req, res) => {
 
 module.exports = {
   createShortUrl,
+  bulkCreateUrls,
   getUserUrls,
+  exportUserUrls,
+  exportUrlClicks,
   getUrlAnalytics,
   updateUrl,
-  deleteUrl
+  deleteUrl,
+  getCampaignAnalytics
 };
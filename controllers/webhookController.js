@@ -0,0 +1,448 @@
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const WebhookClickCounter = require('../models/WebhookClickCounter');
+const webhooks = require('../utils/webhooks');
+const { resolvesToPrivateAddress } = require('../utils/privateAddress');
+const { validationResult } = require('express-validator');
+
+const MAX_WEBHOOKS_PER_USER = parseInt(process.env.WEBHOOKS_MAX_PER_USER, 10) || 10;
+
+// Shape of a webhook in responses (the secret is only returned on create/rotate)
+const formatWebhook = (webhook) => ({
+  id: webhook._id,
+  targetUrl: webhook.targetUrl,
+  description: webhook.description,
+  events: webhook.events,
+  clickEvery: webhook.clickEvery,
+  isActive: webhook.isActive,
+  lastDeliveryAt: webhook.lastDeliveryAt,
+  lastDeliveryStatus: webhook.lastDeliveryStatus,
+  createdAt: webhook.createdAt,
+  updatedAt: webhook.updatedAt
+});
+
+const formatDelivery = (delivery) => ({
+  id: delivery._id,
+  event: delivery.event,
+  status: delivery.status,
+  attempts: delivery.attempts,
+  nextAttemptAt: delivery.status === 'pending' ? delivery.nextAttemptAt : null,
+  responseStatus: delivery.responseStatus,
+  error: delivery.error,
+  durationMs: delivery.durationMs,
+  deliveredAt: delivery.deliveredAt,
+  payload: delivery.payload,
+  createdAt: delivery.createdAt
+});
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+// Reason a target URL can't be used, or null. The host is resolved so names
+// pointing at internal addresses are caught too; delivery checks again when
+// connecting.
+const checkTargetUrl = async(targetUrl) => {
+  if (webhooks.allowPrivateTargets()) return null;
+
+  const { hostname } = new URL(targetUrl);
+  try {
+    if (await resolvesToPrivateAddress(hostname)) {
+      return 'Webhook targets on private, loopback or link-local addresses are not allowed';
+    }
+  } catch {
+    return `Could not resolve ${hostname}`;
+  }
+  return null;
+};
+
+const sendMongooseValidationError = (res, error) => {
+  const validationErrors = Object.values(error.errors).map(err => ({
+    field: err.path,
+    message: err.message
+  }));
+
+  return res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: validationErrors
+  });
+};
+
+// @desc    Create webhook subscription
+// @route   POST /api/webhooks
+// @access  Private
+const createWebhook = async(req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { targetUrl, description, events, clickEvery } = req.body;
+    const userId = req.user._id;
+
+    const targetError = await checkTargetUrl(targetUrl);
+    if (targetError) {
+      return res.status(400).json({
+        success: false,
+        message: targetError
+      });
+    }
+
+    const existingCount = await Webhook.countDocuments({ userId });
+    if (existingCount >= MAX_WEBHOOKS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_WEBHOOKS_PER_USER} webhooks`
+      });
+    }
+
+    const secret = Webhook.generateSecret();
+    const webhook = await Webhook.create({
+      userId,
+      targetUrl,
+      description: description?.trim() || '',
+      events: [...new Set(events)],
+      clickEvery: clickEvery || 1,
+      secret
+    });
+
+    webhooks.invalidateSubscriptions(userId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created. Store the secret now - it will not be shown again.',
+      data: {
+        secret,
+        webhook: formatWebhook(webhook)
+      }
+    });
+
+  } catch (error) {
+    console.error('Create Webhook Error:', error);
+
+    if (error.name === 'ValidationError') {
+      return sendMongooseValidationError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating webhook'
+    });
+  }
+};
+
+// @desc    List webhook subscriptions
+// @route   GET /api/webhooks
+// @access  Private
+const listWebhooks = async(req, res) => {
+  try {
+    const list = await Webhook.find({ userId: req.user._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        webhooks: list.map(formatWebhook),
+        availableEvents: Webhook.EVENTS
+      }
+    });
+
+  } catch (error) {
+    console.error('List Webhooks Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching webhooks'
+    });
+  }
+};
+
+// @desc    Update webhook subscription
+// @route   PUT /api/webhooks/:id
+// @access  Private
+const updateWebhook = async(req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { targetUrl, description, events, clickEvery, isActive } = req.body;
+
+    if (targetUrl !== undefined) {
+      const targetError = await checkTargetUrl(targetUrl);
+      if (targetError) {
+        return res.status(400).json({
+          success: false,
+          message: targetError
+        });
+      }
+    }
+
+    const updateData = {};
+    if (targetUrl !== undefined) updateData.targetUrl = targetUrl;
+    if (description !== undefined) updateData.description = description?.trim() || '';
+    if (events !== undefined) updateData.events = [...new Set(events)];
+    if (clickEvery !== undefined) updateData.clickEvery = clickEvery;
+    if (isActive !== undefined) updateData.isActive = Boolean(isActive);
+
+    const webhook = await Webhook.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id },
+      updateData,
+      { new: true, runValidators: true }
+    );
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    webhooks.invalidateSubscriptions(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Webhook updated successfully',
+      data: {
+        webhook: formatWebhook(webhook)
+      }
+    });
+
+  } catch (error) {
+    console.error('Update Webhook Error:', error);
+
+    if (error.name === 'ValidationError') {
+      return sendMongooseValidationError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating webhook'
+    });
+  }
+};
+
+// @desc    Delete webhook subscription and its delivery log
+// @route   DELETE /api/webhooks/:id
+// @access  Private
+const deleteWebhook = async(req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const webhook = await Webhook.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    await Promise.all([
+      WebhookDelivery.deleteMany({ webhookId: webhook._id }),
+      WebhookClickCounter.deleteMany({ webhookId: webhook._id })
+    ]);
+    webhooks.invalidateSubscriptions(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete Webhook Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting webhook'
+    });
+  }
+};
+
+// @desc    Generate a new signing secret
+// @route   POST /api/webhooks/:id/rotate-secret
+// @access  Private
+const rotateWebhookSecret = async(req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const secret = Webhook.generateSecret();
+    const webhook = await Webhook.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id },
+      { secret },
+      { new: true }
+    );
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Webhook secret rotated. Store the new secret now - it will not be shown again.',
+      data: {
+        secret,
+        webhook: formatWebhook(webhook)
+      }
+    });
+
+  } catch (error) {
+    console.error('Rotate Webhook Secret Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rotating webhook secret'
+    });
+  }
+};
+
+// @desc    Send a signed test event to the webhook
+// @route   POST /api/webhooks/:id/test
+// @access  Private
+const testWebhook = async(req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const webhook = await Webhook.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    await webhooks.deliverToWebhooks([webhook], req.user._id, 'ping', {
+      message: 'Test event from URL Shortener',
+      webhookId: webhook._id
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Test event queued. Check the delivery log for the result.'
+    });
+
+  } catch (error) {
+    console.error('Test Webhook Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending test event'
+    });
+  }
+};
+
+// @desc    Get webhook delivery log
+// @route   GET /api/webhooks/:id/deliveries
+// @access  Private
+const getWebhookDeliveries = async(req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { page = 1, limit = 20, status, event } = req.query;
+
+    const webhook = await Webhook.findOne({ _id: req.params.id, userId: req.user._id }).select('_id');
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    const query = { webhookId: webhook._id };
+    if (status) query.status = status;
+    if (event) query.event = event;
+
+    const pageNum = Math.max(1, parseInt(page, 10));
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10)));
+
+    const [deliveries, totalCount] = await Promise.all([
+      WebhookDelivery.find(query)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      WebhookDelivery.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        deliveries: deliveries.map(formatDelivery),
+        pagination: {
+          currentPage: pageNum,
+          totalPages: Math.ceil(totalCount / limitNum),
+          totalCount,
+          hasNextPage: pageNum < Math.ceil(totalCount / limitNum),
+          hasPrevPage: pageNum > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get Webhook Deliveries Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching webhook deliveries'
+    });
+  }
+};
+
+// @desc    Retry a failed delivery
+// @route   POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+// @access  Private
+const redeliverWebhook = async(req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      {
+        _id: req.params.deliveryId,
+        webhookId: req.params.id,
+        userId: req.user._id,
+        status: { $in: ['failed', 'success'] }
+      },
+      { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date(), error: null } },
+      { new: true }
+    );
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery not found or still in progress'
+      });
+    }
+
+    webhooks.attemptDelivery(delivery._id).catch(deliveryError => {
+      console.error(`❌ Redelivery of ${delivery._id} crashed:`, deliveryError);
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Delivery queued. Check the delivery log for the result.'
+    });
+
+  } catch (error) {
+    console.error('Redeliver Webhook Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while re-sending delivery'
+    });
+  }
+};
+
+module.exports = {
+  createWebhook,
+  listWebhooks,
+  updateWebhook,
+  deleteWebhook,
+  rotateWebhookSecret,
+  testWebhook,
+  getWebhookDeliveries,
+  redeliverWebhook
+};
@@ -0,0 +1,515 @@
+const Workspace = require('../models/Workspace');
+const WorkspaceInvitation = require('../models/WorkspaceInvitation');
+const Url = require('../models/Url');
+const Domain = require('../models/Domain');
+const User = require('../models/User');
+const { validationResult } = require('express-validator');
+
+const INVITATION_TTL_DAYS = parseInt(process.env.WORKSPACE_INVITATION_TTL_DAYS, 10) || 7;
+
+// Shape of a workspace in responses; usernames and emails appear once members are populated
+const formatWorkspace = (workspace, userId, { includeMembers = true } = {}) => ({
+  id: workspace._id,
+  name: workspace.name,
+  ownerId: workspace.ownerId,
+  role: workspace.getRole(userId),
+  memberCount: workspace.members.length,
+  ...(includeMembers && {
+    members: workspace.members.map(member => ({
+      userId: member.userId?._id || member.userId,
+      username: member.userId?.username,
+      email: member.userId?.email,
+      role: member.role,
+      joinedAt: member.joinedAt
+    }))
+  }),
+  createdAt: workspace.createdAt,
+  updatedAt: workspace.updatedAt
+});
+
+const formatInvitation = (invitation) => ({
+  id: invitation._id,
+  workspaceId: invitation.workspaceId,
+  email: invitation.email,
+  role: invitation.role,
+  invitedBy: invitation.invitedBy,
+  expiresAt: invitation.expiresAt,
+  acceptedAt: invitation.acceptedAt,
+  isPending: invitation.isPending(),
+  createdAt: invitation.createdAt
+});
+
+// An actor may only manage members ranked below them, and only assign roles up to their own
+const canManageMember = (actorRole, targetRole, newRole = null) => {
+  const rank = role => Workspace.ROLES.indexOf(role);
+  if (actorRole !== 'owner' && rank(targetRole) >= rank(actorRole)) return false;
+  if (newRole && (newRole === 'owner' || rank(newRole) > rank(actorRole))) return false;
+  return targetRole !== 'owner';
+};
+
+// @desc    Create workspace
+// @route   POST /api/workspaces
+// @access  Private
+const createWorkspace = async(req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const workspace = await Workspace.create({
+      name: req.body.name.trim(),
+      ownerId: req.user._id,
+      members: [{ userId: req.user._id, role: 'owner' }]
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Workspace created successfully',
+      data: {
+        workspace: formatWorkspace(workspace, req.user._id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Create Workspace Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating workspace'
+    });
+  }
+};
+
+// @desc    List the user's workspaces
+// @route   GET /api/workspaces
+// @access  Private
+const listWorkspaces = async(req, res) => {
+  try {
+    const workspaces = await Workspace.find({ 'members.userId': req.user._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        workspaces: workspaces.map(workspace => formatWorkspace(workspace, req.user._id, { includeMembers: false }))
+      }
+    });
+
+  } catch (error) {
+    console.error('List Workspaces Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching workspaces'
+    });
+  }
+};
+
+// @desc    Get workspace with members
+// @route   GET /api/workspaces/:id
+// @access  Private (viewer)
+const getWorkspace = async(req, res) => {
+  try {
+    await req.workspace.populate('members.userId', 'username email');
+
+    res.json({
+      success: true,
+      data: {
+        workspace: formatWorkspace(req.workspace, req.user._id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get Workspace Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching workspace'
+    });
+  }
+};
+
+// @desc    Rename workspace
+// @route   PUT /api/workspaces/:id
+// @access  Private (admin)
+const updateWorkspace = async(req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    req.workspace.name = req.body.name.trim();
+    await req.workspace.save();
+
+    res.json({
+      success: true,
+      message: 'Workspace updated successfully',
+      data: {
+        workspace: formatWorkspace(req.workspace, req.user._id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Update Workspace Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating workspace'
+    });
+  }
+};
+
+// @desc    Delete workspace; its links and domains go back to their creators
+// @route   DELETE /api/workspaces/:id
+// @access  Private (owner)
+const deleteWorkspace = async(req, res) => {
+  try {
+    const workspaceId = req.workspace._id;
+
+    await Promise.all([
+      Url.updateMany({ workspaceId }, { $set: { workspaceId: null } }),
+      Domain.updateMany({ workspaceId }, { $set: { workspaceId: null } }),
+      WorkspaceInvitation.deleteMany({ workspaceId })
+    ]);
+    await Workspace.deleteOne({ _id: workspaceId });
+
+    res.json({
+      success: true,
+      message: 'Workspace deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete Workspace Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting workspace'
+    });
+  }
+};
+
+// @desc    Invite someone by email
+// @route   POST /api/workspaces/:id/invitations
+// @access  Private (admin)
+const createInvitation = async(req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email, role = 'viewer' } = req.body;
+    const normalizedEmail = email.toLowerCase().trim();
+
+    if (!canManageMember(req.workspaceRole, 'viewer', role)) {
+      return res.status(403).json({
+        success: false,
+        message: `You cannot invite members with the ${role} role`
+      });
+    }
+
+    const existingUser = await User.findOne({ email: normalizedEmail }).select('_id');
+    if (existingUser && req.workspace.getRole(existingUser._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This user is already a member of the workspace'
+      });
+    }
+
+    // Replace any pending invitation for the same address
+    await WorkspaceInvitation.deleteMany({
+      workspaceId: req.workspace._id,
+      email: normalizedEmail,
+      acceptedAt: null
+    });
+
+    const { token, tokenHash } = WorkspaceInvitation.generateToken();
+    const invitation = await WorkspaceInvitation.create({
+      workspaceId: req.workspace._id,
+      email: normalizedEmail,
+      role,
+      invitedBy: req.user._id,
+      tokenHash,
+      expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000)
+    });
+
+    console.log(`✉️  Workspace invitation for ${normalizedEmail} to ${req.workspace.name}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation created. Share the token with the invitee.',
+      data: {
+        token,
+        invitation: formatInvitation(invitation)
+      }
+    });
+
+  } catch (error) {
+    console.error('Create Invitation Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating invitation'
+    });
+  }
+};
+
+// @desc    List workspace invitations
+// @route   GET /api/workspaces/:id/invitations
+// @access  Private (admin)
+const listInvitations = async(req, res) => {
+  try {
+    const invitations = await WorkspaceInvitation.find({ workspaceId: req.workspace._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        invitations: invitations.map(formatInvitation)
+      }
+    });
+
+  } catch (error) {
+    console.error('List Invitations Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching invitations'
+    });
+  }
+};
+
+// @desc    Revoke a pending invitation
+// @route   DELETE /api/workspaces/:id/invitations/:invitationId
+// @access  Private (admin)
+const revokeInvitation = async(req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await WorkspaceInvitation.deleteOne({
+      _id: req.params.invitationId,
+      workspaceId: req.workspace._id,
+      acceptedAt: null
+    });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke Invitation Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking invitation'
+    });
+  }
+};
+
+// @desc    Accept an invitation addressed to the current user's email
+// @route   POST /api/workspaces/invitations/accept
+// @access  Private
+const acceptInvitation = async(req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const invitation = await WorkspaceInvitation.findOne({
+      tokenHash: WorkspaceInvitation.hashToken(req.body.token)
+    });
+
+    if (!invitation || !invitation.isPending()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    if (invitation.email !== req.user.email) {
+      return res.status(403).json({
+        success: false,
+        message: 'This invitation was sent to a different email address'
+      });
+    }
+
+    // Add the member atomically unless they already joined
+    const workspace = await Workspace.findOneAndUpdate(
+      { _id: invitation.workspaceId, 'members.userId': { $ne: req.user._id } },
+      { $push: { members: { userId: req.user._id, role: invitation.role } } },
+      { new: true }
+    );
+
+    invitation.acceptedAt = new Date();
+    invitation.acceptedBy = req.user._id;
+    await invitation.save();
+
+    if (!workspace) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are already a member of this workspace or it no longer exists'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Joined ${workspace.name} as ${invitation.role}`,
+      data: {
+        workspace: formatWorkspace(workspace, req.user._id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Accept Invitation Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while accepting invitation'
+    });
+  }
+};
+
+// @desc    Change a member's role
+// @route   PUT /api/workspaces/:id/members/:userId
+// @access  Private (admin)
+const updateMemberRole = async(req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { role } = req.body;
+    const targetRole = req.workspace.getRole(req.params.userId);
+
+    if (!targetRole) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    if (!canManageMember(req.workspaceRole, targetRole, role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to change this member\'s role'
+      });
+    }
+
+    await Workspace.updateOne(
+      { _id: req.workspace._id, 'members.userId': req.params.userId },
+      { $set: { 'members.$.role': role } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Member role updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Update Member Role Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating member role'
+    });
+  }
+};
+
+// @desc    Remove a member (or leave the workspace)
+// @route   DELETE /api/workspaces/:id/members/:userId
+// @access  Private (viewer for self, admin for others)
+const removeMember = async(req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const targetUserId = req.params.userId;
+    const targetRole = req.workspace.getRole(targetUserId);
+    const isSelf = String(targetUserId) === String(req.user._id);
+
+    if (!targetRole) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    if (targetRole === 'owner') {
+      return res.status(400).json({
+        success: false,
+        message: 'The workspace owner cannot be removed'
+      });
+    }
+
+    if (!isSelf && !canManageMember(req.workspaceRole, targetRole)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to remove this member'
+      });
+    }
+
+    await Workspace.updateOne(
+      { _id: req.workspace._id },
+      { $pull: { members: { userId: targetUserId } } }
+    );
+
+    res.json({
+      success: true,
+      message: isSelf ? 'You left the workspace' : 'Member removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Remove Member Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing member'
+    });
+  }
+};
+
+module.exports = {
+  createWorkspace,
+  listWorkspaces,
+  getWorkspace,
+  updateWorkspace,
+  deleteWorkspace,
+  createInvitation,
+  listInvitations,
+  revokeInvitation,
+  acceptInvitation,
+  updateMemberRole,
+  removeMember
+};
@@ -1,9 +1,80 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const Session = require('../models/Session');
+
+// Access tokens are short-lived; clients renew them with a refresh token
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS, 10) || 15 * 60;
+
+// Whether a decoded access token may still be used. Tokens carry the ID of
+// their session (`sid`), so logging out or revoking a device takes effect
+// immediately. Older tokens without one stay valid until the password changes.
+const isTokenSessionActive = async(decoded, user) => {
+  // Single-purpose tokens (e.g. two-factor challenges) never grant access
+  if (decoded.purpose) return false;
+
+  if (!decoded.sid) {
+    return !user.passwordChangedAt || decoded.iat * 1000 >= user.passwordChangedAt.getTime();
+  }
+
+  return Boolean(await Session.exists({
+    _id: decoded.sid,
+    userId: user._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }));
+};
+
+// Resolve an X-API-Key header to its key and owner.
+// Returns { user, apiKey } or { error } with a message for the 401 response.
+const resolveApiKey = async(rawKey, ip) => {
+  const apiKey = await ApiKey.findByKey(rawKey.trim());
+
+  if (!apiKey || !apiKey.isUsable()) {
+    return { error: 'Invalid or revoked API key' };
+  }
+
+  const user = await User.findById(apiKey.userId).select('-password');
+
+  if (!user) {
+    return { error: 'API key owner not found' };
+  }
+
+  if (!user.isActive) {
+    return { error: 'Account is deactivated' };
+  }
+
+  // Record usage without delaying the request
+  ApiKey.updateOne(
+    { _id: apiKey._id },
+    { $set: { lastUsedAt: new Date(), lastUsedIp: ip || null } }
+  ).catch(error => console.error('Failed to record API key usage:', error));
+
+  return { user, apiKey };
+};
 
 // Middleware to authenticate and get user from token
 const auth = async(req, res, next) => {
   try {
+    // Programmatic access through a long-lived API key
+    const apiKeyHeader = req.header('X-API-Key');
+    if (apiKeyHeader) {
+      const { user, apiKey, error } = await resolveApiKey(apiKeyHeader, req.ip);
+
+      if (error) {
+        console.log(`❌ AUTH DEBUG - API key rejected: ${error}`);
+        return res.status(401).json({
+          success: false,
+          message: error
+        });
+      }
+
+      req.user = user;
+      req.apiKey = apiKey;
+      console.log(`✅ AUTH DEBUG - API key ${apiKey.prefix} accepted for ${user.username}`);
+      return next();
+    }
+
     // Get token from header
     const authHeader = req.header('Authorization');
     console.log('🔍 AUTH DEBUG - Header received:', !!authHeader);
@@ -52,8 +123,17 @@ const auth = async(req, res, next) => {
         });
       }
 
+      if (!await isTokenSessionActive(decoded, user)) {
+        console.log('❌ AUTH DEBUG - Session revoked or expired');
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been revoked'
+        });
+      }
+
       // Add user to request object
       req.user = user;
+      req.sessionId = decoded.sid || null;
       console.log('✅ AUTH DEBUG - User set on request, proceeding to next()');
       next();
 
@@ -92,6 +172,14 @@ const auth = async(req, res, next) => {
 // Middleware for optional authentication (doesn't fail if no token)
 const optionalAuth = async(req, res, next) => {
   try {
+    const apiKeyHeader = req.header('X-API-Key');
+    if (apiKeyHeader) {
+      const { user, apiKey } = await resolveApiKey(apiKeyHeader, req.ip);
+      req.user = user || null;
+      req.apiKey = apiKey || null;
+      return next();
+    }
+
     const authHeader = req.header('Authorization');
 
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -110,8 +198,9 @@ const optionalAuth = async(req, res, next) => {
       const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production');
       const user = await User.findById(decoded.id).select('-password');
 
-      if (user && user.isActive) {
+      if (user && user.isActive && await isTokenSessionActive(decoded, user)) {
         req.user = user;
+        req.sessionId = decoded.sid || null;
       } else {
         req.user = null;
       }
@@ -129,12 +218,47 @@ const optionalAuth = async(req, res, next) => {
   }
 };
 
-// Utility function to generate JWT token
-const generateToken = (userId) => {
+// Middleware to restrict API-key requests to keys carrying a scope.
+// JWT sessions are not scoped and always pass.
+const requireScope = (scope) => (req, res, next) => {
+  if (req.apiKey && !req.apiKey.hasScope(scope)) {
+    return res.status(403).json({
+      success: false,
+      message: `API key is missing the required scope: ${scope}`
+    });
+  }
+  next();
+};
+
+// Middleware for routes that must not be reachable with an API key
+// (e.g. managing API keys themselves)
+const rejectApiKey = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({
+      success: false,
+      message: 'This action requires a logged-in session, not an API key'
+    });
+  }
+  next();
+};
+
+// Middleware to restrict a route to users with a site-wide role (use after `auth`)
+const requireRole = (role) => (req, res, next) => {
+  if (!req.user || req.user.role !== role) {
+    return res.status(403).json({
+      success: false,
+      message: `This action requires the ${role} role`
+    });
+  }
+  next();
+};
+
+// Utility function to generate a short-lived access token for a session
+const generateToken = (userId, sessionId) => {
   return jwt.sign(
-    { id: userId },
+    { id: userId, sid: sessionId },
     process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production',
-    { expiresIn: process.env.JWT_EXPIRE || '7d' }
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
   );
 };
 
@@ -146,6 +270,10 @@ const verifyToken = (token) => {
 module.exports = {
   auth,
   optionalAuth,
+  requireScope,
+  rejectApiKey,
+  requireRole,
   generateToken,
-  verifyToken
+  verifyToken,
+  ACCESS_TOKEN_TTL_SECONDS
 };
@@ -0,0 +1,201 @@
+const rateLimitStore = require('../utils/rateLimitStore');
+const plans = require('../utils/plans');
+const { renderMessagePage } = require('../utils/pages');
+
+// Per-route request limits. Each policy counts requests per client (the
+// signed-in user, or the IP for anonymous routes) over a window. Override a
+// policy with RATE_LIMIT_<NAME>=<limit>/<window seconds>, e.g.
+// RATE_LIMIT_REDIRECT=600/60. RATE_LIMIT_ALGORITHM=fixed switches from the
+// default sliding window (weighted by the previous window) to plain fixed
+// windows. RATE_LIMIT_ENABLED=false turns all limits and quotas off.
+const DEFAULT_POLICIES = {
+  redirect: { limit: 120, windowSeconds: 60, keyBy: 'ip' },
+  auth: { limit: 60, windowSeconds: 60, keyBy: 'ip' },
+  login: { limit: 10, windowSeconds: 60, keyBy: 'ip' },
+  register: { limit: 5, windowSeconds: 60 * 60, keyBy: 'ip' },
+  authEmail: { limit: 5, windowSeconds: 60 * 60, keyBy: 'ip' },
+  urls: { limit: 300, windowSeconds: 60, keyBy: 'user' },
+  urlCreate: { limit: 30, windowSeconds: 60, keyBy: 'user' },
+  urlBulk: { limit: 10, windowSeconds: 60 * 60, keyBy: 'user' },
+  urlExport: { limit: 20, windowSeconds: 60 * 60, keyBy: 'user' }
+};
+
+const ALGORITHM = process.env.RATE_LIMIT_ALGORITHM === 'fixed' ? 'fixed' : 'sliding';
+
+const isEnabled = () => process.env.RATE_LIMIT_ENABLED !== 'false';
+
+const parsePolicyOverride = (value) => {
+  const match = /^(\d+)\s*\/\s*(\d+)$/.exec(String(value || '').trim());
+  return match ? { limit: parseInt(match[1], 10), windowSeconds: parseInt(match[2], 10) } : {};
+};
+
+const POLICIES = Object.fromEntries(Object.entries(DEFAULT_POLICIES).map(([name, policy]) => [
+  name,
+  { ...policy, ...parsePolicyOverride(process.env[`RATE_LIMIT_${plans.toEnvName(name)}`]) }
+]));
+
+const getClientKey = (req, keyBy) => {
+  if (keyBy === 'user' && req.user) return `user:${req.user._id}`;
+  return `ip:${req.ip}`;
+};
+
+// Count `amount` hits for the key. Returns { allowed, count, limit, remaining, resetAt, retryAt, windowMs }.
+const hit = async(key, { limit, windowMs, algorithm = ALGORITHM, amount = 1 }) => {
+  const store = rateLimitStore.getStore();
+  const now = Date.now();
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+  const resetAt = windowStart + windowMs;
+
+  const current = await store.increment(key, windowStart, windowMs, amount);
+  let count = current;
+  let retryAt = resetAt;
+
+  if (algorithm === 'sliding') {
+    // Approximate a rolling window: the previous window counts for the part
+    // of it that still overlaps the last windowMs
+    const previous = await store.get(key, windowStart - windowMs);
+    count = current + Math.floor(previous * (1 - (now - windowStart) / windowMs));
+
+    if (current < limit && previous > 0) {
+      retryAt = windowStart + windowMs * (1 - (limit - current) / previous);
+    }
+  }
+
+  return {
+    allowed: count <= limit,
+    count,
+    limit,
+    remaining: Math.max(0, limit - count),
+    resetAt,
+    retryAt: Math.max(retryAt, now + 1000),
+    windowMs
+  };
+};
+
+// RateLimit-* headers (IETF draft). When several limits apply to one request
+// the one with the fewest remaining requests is reported.
+const setRateLimitHeaders = (res, result) => {
+  const reported = res.get('RateLimit-Remaining');
+  if (reported !== undefined && parseInt(reported, 10) <= result.remaining) return;
+
+  res.set('RateLimit-Limit', String(result.limit));
+  res.set('RateLimit-Remaining', String(result.remaining));
+  res.set('RateLimit-Reset', String(Math.max(0, Math.ceil((result.resetAt - Date.now()) / 1000))));
+  res.set('RateLimit-Policy', `${result.limit};w=${Math.round(result.windowMs / 1000)}`);
+};
+
+const sendLimitExceeded = (req, res, result, message) => {
+  const retryAfter = Math.max(1, Math.ceil((result.retryAt - Date.now()) / 1000));
+  res.set('RateLimit-Limit', String(result.limit));
+  res.set('RateLimit-Remaining', '0');
+  res.set('RateLimit-Reset', String(retryAfter));
+  res.set('RateLimit-Policy', `${result.limit};w=${Math.round(result.windowMs / 1000)}`);
+  res.set('Retry-After', String(retryAfter));
+
+  if (req.accepts(['json', 'html']) === 'html') {
+    return res.status(429).send(renderMessagePage({
+      title: 'Too many requests',
+      message: `${message} Please try again in ${retryAfter} second(s).`
+    }));
+  }
+
+  return res.status(429).json({
+    success: false,
+    message: `${message} Please try again in ${retryAfter} second(s).`,
+    retryAfter
+  });
+};
+
+// Middleware enforcing a named policy from POLICIES
+const rateLimit = (name) => {
+  const policy = POLICIES[name];
+  if (!policy) throw new Error(`Unknown rate limit policy: ${name}`);
+
+  return async(req, res, next) => {
+    if (!isEnabled()) return next();
+
+    let result;
+    try {
+      result = await hit(`${name}:${getClientKey(req, policy.keyBy)}`, {
+        limit: policy.limit,
+        windowMs: policy.windowSeconds * 1000
+      });
+    } catch (error) {
+      // Fail open: an unavailable store shouldn't take the API down with it
+      console.error(`Rate Limit Error (${name}):`, error.message);
+      return next();
+    }
+
+    if (!result.allowed) {
+      console.log(`⛔ Rate limit ${name} hit by ${getClientKey(req, policy.keyBy)}`);
+      return sendLimitExceeded(req, res, result, 'Too many requests.');
+    }
+
+    setRateLimitHeaders(res, result);
+    next();
+  };
+};
+
+// Use `amount` of the signed-in user's plan quota. Sends the 429 and
+// returns false when the quota would be exceeded; nothing is used up then.
+// The charge is remembered on the request so refundQuota can hand back
+// whatever the request ends up not using.
+const consumeQuota = async(req, res, quota, amount = 1) => {
+  if (!isEnabled() || !req.user) return true;
+
+  const { limit, windowMs } = plans.getQuota(req.user.plan, quota);
+  if (limit === null) return true;
+
+  const key = `quota:${quota}:user:${req.user._id}`;
+  let result;
+  try {
+    result = await hit(key, { limit, windowMs, algorithm: 'fixed', amount });
+  } catch (error) {
+    console.error(`Quota Error (${quota}):`, error.message);
+    return true;
+  }
+
+  if (!result.allowed) {
+    await rateLimitStore.getStore().increment(key, result.resetAt - windowMs, windowMs, -amount).catch(() => {});
+    const plan = req.user.plan || 'free';
+    const available = Math.max(0, limit - (result.count - amount));
+    console.log(`⛔ Quota ${quota} reached by ${req.user.username} (${plan} plan)`);
+    sendLimitExceeded(
+      req,
+      res,
+      result,
+      `Your ${plan} plan allows ${limit} ${plans.QUOTA_LABELS[quota]} (${available} left).`
+    );
+    return false;
+  }
+
+  req.quotaCharges = {
+    ...req.quotaCharges,
+    [quota]: { key, windowStart: result.resetAt - windowMs, windowMs, amount }
+  };
+  setRateLimitHeaders(res, result);
+  return true;
+};
+
+// Give back up to `amount` of what consumeQuota charged this request for
+// `quota`, in the window it was charged in. Safe to call more than once or
+// when nothing was charged; never throws.
+const refundQuota = async(req, quota, amount = 1) => {
+  const charge = req.quotaCharges && req.quotaCharges[quota];
+  const refund = charge ? Math.min(amount, charge.amount) : 0;
+  if (refund <= 0) return;
+
+  charge.amount -= refund;
+  try {
+    await rateLimitStore.getStore().increment(charge.key, charge.windowStart, charge.windowMs, -refund);
+  } catch (error) {
+    console.error(`Quota Refund Error (${quota}):`, error.message);
+  }
+};
+
+module.exports = {
+  POLICIES,
+  rateLimit,
+  consumeQuota,
+  refundQuota
+};
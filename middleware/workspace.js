@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const Workspace = require('../models/Workspace');
+
+// Middleware factory: load the workspace in req.params.id and require the
+// authenticated user to hold at least `minRole` in it. Sets req.workspace and
+// req.workspaceRole. Non-members get a 404 so workspace IDs aren't disclosed.
+const requireWorkspaceRole = (minRole) => async(req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid workspace ID'
+      });
+    }
+
+    const workspace = await Workspace.findById(id);
+    const role = workspace ? workspace.getRole(req.user._id) : null;
+
+    if (!workspace || !role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Workspace not found'
+      });
+    }
+
+    if (!Workspace.hasRole(role, minRole)) {
+      return res.status(403).json({
+        success: false,
+        message: `This action requires the ${minRole} role in the workspace`
+      });
+    }
+
+    req.workspace = workspace;
+    req.workspaceRole = role;
+    next();
+
+  } catch (error) {
+    console.error('Workspace Middleware Error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while checking workspace access'
+    });
+  }
+};
+
+module.exports = {
+  requireWorkspaceRole
+};
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Append-only trail of admin actions (moderation, roles, destination policy)
+const AUDIT_TARGET_TYPES = ['user', 'url', 'domainPolicy', 'review'];
+
+const adminAuditLogSchema = new mongoose.Schema({
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Kept as written at the time, in case the admin is renamed or deleted later
+  actorUsername: {
+    type: String,
+    required: true
+  },
+  // e.g. 'user.deactivate', 'url.disable', 'policy.domain.add'
+  action: {
+    type: String,
+    required: true,
+    index: true
+  },
+  targetType: {
+    type: String,
+    enum: AUDIT_TARGET_TYPES,
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  ip: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+adminAuditLogSchema.index({ createdAt: -1 });
+adminAuditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+adminAuditLogSchema.statics.TARGET_TYPES = AUDIT_TARGET_TYPES;
+
+module.exports = mongoose.model('AdminAuditLog', adminAuditLogSchema);
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const API_KEY_SCOPES = ['urls:read', 'urls:write', 'analytics:read'];
+const KEY_PREFIX = 'surl_';
+
+const apiKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Key name is required'],
+    trim: true,
+    maxlength: [100, 'Key name cannot exceed 100 characters']
+  },
+  // First characters of the key, shown in listings so users can tell keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the full key; keys are high-entropy random strings so a fast
+  // hash is enough and allows an indexed lookup
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: {
+        values: API_KEY_SCOPES,
+        message: 'Invalid scope: {VALUE}'
+      }
+    }],
+    default: () => [...API_KEY_SCOPES]
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Method to check whether the key can still be used
+apiKeySchema.methods.isUsable = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// Method to check a scope
+apiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+// Static method to hash a plaintext key
+apiKeySchema.statics.hashKey = function(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+// Static method to create a new random key. Returns the plaintext key (shown
+// to the user exactly once) together with what gets stored.
+apiKeySchema.statics.generateKey = function() {
+  const key = KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+  return {
+    key,
+    prefix: key.substring(0, KEY_PREFIX.length + 6),
+    keyHash: this.hashKey(key)
+  };
+};
+
+// Static method to look up an unrevoked key by its plaintext value
+apiKeySchema.statics.findByKey = function(key) {
+  if (!key || !key.startsWith(KEY_PREFIX)) return Promise.resolve(null);
+  return this.findOne({ keyHash: this.hashKey(key), revokedAt: null });
+};
+
+apiKeySchema.statics.SCOPES = API_KEY_SCOPES;
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
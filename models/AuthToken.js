@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Single-use, expiring tokens sent by email: address verification and password reset
+const TOKEN_PURPOSES = ['email_verification', 'password_reset'];
+
+const authTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  purpose: {
+    type: String,
+    enum: TOKEN_PURPOSES,
+    required: true
+  },
+  // SHA-256 of the emailed token
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Address the token was sent to; verification only counts for that address
+  email: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Used and expired tokens are removed by MongoDB a day after they expire
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+// Static method to hash a plaintext token
+authTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static method to issue a token; returns the plaintext token. Earlier unused
+// tokens for the same purpose stop working.
+authTokenSchema.statics.issue = async function(user, purpose, ttlMs) {
+  await this.updateMany(
+    { userId: user._id, purpose, usedAt: null },
+    { $set: { expiresAt: new Date() } }
+  );
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await this.create({
+    userId: user._id,
+    purpose,
+    tokenHash: this.hashToken(token),
+    email: user.email,
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+  return token;
+};
+
+// Static method to use up a token atomically; returns the token document or null
+authTokenSchema.statics.consume = function(token, purpose) {
+  return this.findOneAndUpdate(
+    {
+      tokenHash: this.hashToken(String(token)),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+authTokenSchema.statics.PURPOSES = TOKEN_PURPOSES;
+
+module.exports = mongoose.model('AuthToken', authTokenSchema);
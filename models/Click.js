@@ -0,0 +1,208 @@
+const mongoose = require('mongoose');
+const { parseUserAgent } = require('../utils/userAgent');
+const { lookupCountry } = require('../utils/geoip');
+
+// Optional retention for raw click events (e.g. CLICK_RETENTION_DAYS=90).
+// When unset, click history is kept forever.
+const retentionDays = parseInt(process.env.CLICK_RETENTION_DAYS, 10);
+
+const clickSchema = new mongoose.Schema({
+  urlId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Url',
+    required: [true, 'URL ID is required']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  ip: {
+    type: String,
+    required: false
+  },
+  userAgent: {
+    type: String,
+    required: false
+  },
+  referer: {
+    type: String,
+    required: false
+  },
+  // Hostname extracted from referer at click time so analytics can group on it
+  refererDomain: {
+    type: String,
+    default: null
+  },
+  // Derived from userAgent / ip at click time
+  browser: {
+    type: String,
+    default: null
+  },
+  os: {
+    type: String,
+    default: null
+  },
+  deviceType: {
+    type: String,
+    default: null
+  },
+  country: {
+    type: String,
+    default: null
+  },
+  // Redirect rule that picked the destination; null when originalUrl was used
+  ruleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // A/B variant the visitor was sent to, if the link has variants
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  }
+}, {
+  versionKey: false
+});
+
+// Per-URL timelines and analytics aggregations
+clickSchema.index({ urlId: 1, timestamp: -1 });
+
+// Timestamp index doubles as the TTL index when retention is configured.
+// Both variants are named timestamp_1, so autoIndex can't switch an existing
+// index between them; config/migrations.js brings it in line on startup.
+const RETENTION_SECONDS = retentionDays > 0 ? retentionDays * 24 * 60 * 60 : null;
+
+if (RETENTION_SECONDS) {
+  clickSchema.index({ timestamp: 1 }, { expireAfterSeconds: RETENTION_SECONDS });
+} else {
+  clickSchema.index({ timestamp: 1 });
+}
+
+clickSchema.statics.RETENTION_SECONDS = RETENTION_SECONDS;
+
+// Static method to build a click document from a URL and request click data
+clickSchema.statics.fromClickData = function(url, clickData = {}) {
+  let refererDomain = null;
+  if (clickData.referer) {
+    try {
+      refererDomain = new URL(clickData.referer).hostname;
+    } catch {
+      refererDomain = null;
+    }
+  }
+
+  const { browser, os, deviceType } = parseUserAgent(clickData.userAgent);
+
+  return {
+    urlId: url._id,
+    userId: url.userId || null,
+    timestamp: clickData.timestamp ? new Date(clickData.timestamp) : new Date(),
+    ip: clickData.ip,
+    userAgent: clickData.userAgent,
+    referer: clickData.referer,
+    refererDomain,
+    browser,
+    os,
+    deviceType,
+    // The redirect path may already have resolved the country for rule matching
+    country: clickData.country !== undefined ? clickData.country : lookupCountry(clickData.ip),
+    ruleId: clickData.ruleId || null,
+    variantId: clickData.variantId || null
+  };
+};
+
+// Static method to aggregate the full click history of a URL
+clickSchema.statics.getUrlStats = async function(urlId, { days = 30, topN = 10 } = {}) {
+  const now = Date.now();
+  const oneDayAgo = new Date(now - 24 * 60 * 60 * 1000);
+  const sevenDaysAgo = new Date(now - 7 * 24 * 60 * 60 * 1000);
+  const periodStart = new Date(now - days * 24 * 60 * 60 * 1000);
+  const countSince = (date) => ({ $sum: { $cond: [{ $gte: ['$timestamp', date] }, 1, 0] } });
+  const topValues = (field) => [
+    { $match: { [field]: { $ne: null } } },
+    { $group: { _id: `$${field}`, clicks: { $sum: 1 } } },
+    { $sort: { clicks: -1 } },
+    { $limit: topN }
+  ];
+  const toTable = (rows) => rows.map(row => ({ name: row._id, clicks: row.clicks }));
+
+  const [result] = await this.aggregate([
+    { $match: { urlId: new mongoose.Types.ObjectId(urlId) } },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              total: { $sum: 1 },
+              last24Hours: countSince(oneDayAgo),
+              last7Days: countSince(sevenDaysAgo),
+              lastPeriod: countSince(periodStart)
+            }
+          }
+        ],
+        daily: [
+          { $match: { timestamp: { $gte: periodStart } } },
+          {
+            $group: {
+              _id: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp' } },
+              clicks: { $sum: 1 }
+            }
+          },
+          { $sort: { _id: 1 } }
+        ],
+        referrers: topValues('refererDomain'),
+        countries: topValues('country'),
+        browsers: topValues('browser'),
+        operatingSystems: topValues('os'),
+        devices: topValues('deviceType'),
+        rules: [
+          { $group: { _id: '$ruleId', clicks: { $sum: 1 } } },
+          { $sort: { clicks: -1 } }
+        ],
+        variants: [
+          { $match: { variantId: { $ne: null } } },
+          {
+            $group: {
+              _id: '$variantId',
+              clicks: { $sum: 1 },
+              last7Days: countSince(sevenDaysAgo)
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  const totals = result.totals[0] || { total: 0, last24Hours: 0, last7Days: 0, lastPeriod: 0 };
+
+  return {
+    total: totals.total,
+    last24Hours: totals.last24Hours,
+    last7Days: totals.last7Days,
+    lastPeriod: totals.lastPeriod,
+    dailyStats: result.daily.map(day => ({ date: new Date(day._id), clicks: day.clicks })),
+    topReferrers: result.referrers.reduce((acc, referrer) => {
+      acc[referrer._id] = referrer.clicks;
+      return acc;
+    }, {}),
+    topCountries: toTable(result.countries),
+    topBrowsers: toTable(result.browsers),
+    topOperatingSystems: toTable(result.operatingSystems),
+    topDevices: toTable(result.devices),
+    // Clicks per redirect rule; ruleId null counts clicks sent to originalUrl
+    ruleStats: result.rules.map(rule => ({ ruleId: rule._id, clicks: rule.clicks })),
+    variantStats: result.variants.map(variant => ({
+      variantId: variant._id,
+      clicks: variant.clicks,
+      last7Days: variant.last7Days
+    }))
+  };
+};
+
+module.exports = mongoose.model('Click', clickSchema);
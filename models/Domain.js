@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// DNS TXT record checked during verification: <prefix>.<hostname> TXT "<value prefix><token>"
+const TXT_RECORD_PREFIX = '_shorturl-verify';
+const TXT_VALUE_PREFIX = 'shorturl-verify=';
+
+const domainSchema = new mongoose.Schema({
+  hostname: {
+    type: String,
+    required: [true, 'Hostname is required'],
+    lowercase: true,
+    trim: true,
+    maxlength: [253, 'Hostname cannot exceed 253 characters']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Workspace the domain is shared with; null for a personal domain
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null,
+    index: true
+  },
+  verificationToken: {
+    type: String,
+    required: true
+  },
+  verifiedAt: {
+    type: Date,
+    default: null
+  },
+  lastCheckedAt: {
+    type: Date,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Anyone can claim a hostname, but only one claim can be verified. Unverified
+// claims don't block others; the first to publish the TXT record wins.
+domainSchema.index(
+  { hostname: 1 },
+  { unique: true, partialFilterExpression: { verifiedAt: { $type: 'date' } } }
+);
+domainSchema.index({ hostname: 1, userId: 1 }, { unique: true });
+
+// Method to check whether links may be created on and served from this domain
+domainSchema.methods.isUsable = function() {
+  return this.isActive && Boolean(this.verifiedAt);
+};
+
+// Method to describe the DNS record the owner has to publish
+domainSchema.methods.getVerificationRecord = function() {
+  return {
+    type: 'TXT',
+    name: `${TXT_RECORD_PREFIX}.${this.hostname}`,
+    value: `${TXT_VALUE_PREFIX}${this.verificationToken}`
+  };
+};
+
+// Static method to create a random verification token
+domainSchema.statics.generateVerificationToken = function() {
+  return crypto.randomBytes(16).toString('hex');
+};
+
+module.exports = mongoose.model('Domain', domainSchema);
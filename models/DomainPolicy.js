@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Admin-managed destination lists. An entry matches the hostname and all of
+// its subdomains. Allowlisted domains skip the blocklist, shortener and threat
+// list checks; blocklisted ones are refused on create/update and stop redirecting.
+const POLICY_LISTS = ['blocklist', 'allowlist'];
+
+const domainPolicySchema = new mongoose.Schema({
+  hostname: {
+    type: String,
+    required: [true, 'Hostname is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    maxlength: [253, 'Hostname cannot exceed 253 characters']
+  },
+  list: {
+    type: String,
+    enum: POLICY_LISTS,
+    required: true,
+    index: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+    default: ''
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+domainPolicySchema.statics.LISTS = POLICY_LISTS;
+
+module.exports = mongoose.model('DomainPolicy', domainPolicySchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// Review queue entry for a link whose destination failed the destination
+// policy after it was created (e.g. its domain was blocklisted later)
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected', 'resolved'];
+
+const reviewReasonSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  destination: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
+const linkReviewSchema = new mongoose.Schema({
+  urlId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Url',
+    required: true,
+    index: true
+  },
+  // Owner of the link at the time it was flagged
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  shortCode: {
+    type: String,
+    required: true
+  },
+  domain: {
+    type: String,
+    default: null
+  },
+  reasons: {
+    type: [reviewReasonSchema],
+    default: []
+  },
+  // 'resolved' means the owner changed the destination to one that passes
+  status: {
+    type: String,
+    enum: REVIEW_STATUSES,
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters'],
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+linkReviewSchema.index({ status: 1, createdAt: -1 });
+
+linkReviewSchema.statics.STATUSES = REVIEW_STATUSES;
+
+module.exports = mongoose.model('LinkReview', linkReviewSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// Failed logins counted per key ('identifier:<name>' or 'ip:<address>'). Kept
+// in MongoDB so every instance sees the same counts.
+const loginAttemptSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailedAt: {
+    type: Date,
+    default: null
+  },
+  // No login is accepted for this key before this time
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Counters are removed by MongoDB once they no longer matter
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to count a failure; the count restarts when the previous
+// failure is older than windowMs. Returns the updated document.
+loginAttemptSchema.statics.recordFailure = function(key, { windowMs }) {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - windowMs);
+
+  // Pipeline update so the window check and increment are a single atomic step
+  return this.findOneAndUpdate(
+    { key },
+    [{
+      $set: {
+        failures: {
+          $cond: [
+            { $gt: [{ $ifNull: ['$lastFailedAt', windowStart] }, windowStart] },
+            { $add: ['$failures', 1] },
+            1
+          ]
+        },
+        lastFailedAt: now,
+        expiresAt: new Date(now.getTime() + windowMs)
+      }
+    }],
+    { upsert: true, new: true }
+  );
+};
+
+// Static method to refuse logins for the key until the given time
+loginAttemptSchema.statics.lock = function(key, lockedUntil) {
+  return this.updateOne(
+    { key },
+    [{ $set: { lockedUntil, expiresAt: { $max: ['$expiresAt', lockedUntil] } } }]
+  );
+};
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// One counter per rate limit key and window, used by the MongoDB rate limit
+// store so limits hold across instances
+const rateLimitCounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  windowStart: {
+    type: Date,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+rateLimitCounterSchema.index({ key: 1, windowStart: 1 }, { unique: true });
+
+// Counters are removed by MongoDB once their window (and the following one,
+// which sliding windows still read) has passed
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
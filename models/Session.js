@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Sliding lifetime of a login session; every refresh extends it
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+// A logged-in device. Access tokens carry the session ID and are only accepted
+// while the session is active. The refresh token rotates on every use.
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // SHA-256 of the current refresh token
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // Hash of the token it replaced. Seeing that token again means it was
+  // copied, so the whole session is revoked.
+  previousTokenHash: {
+    type: String,
+    default: null,
+    index: true,
+    select: false
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  // 'logout', 'revoked', 'password_changed', 'token_reuse', ...
+  revokedReason: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const newExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Method to check whether the session can still authenticate requests
+sessionSchema.methods.isUsable = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Method to swap the refresh token for a new one. The swap is conditional on
+// the current token, so of two concurrent refreshes only one wins. Returns the
+// plaintext token, or null if the session was rotated or revoked meanwhile.
+sessionSchema.methods.rotate = async function({ userAgent, ip } = {}) {
+  const { token, tokenHash } = this.constructor.generateToken();
+  const update = {
+    previousTokenHash: this.tokenHash,
+    tokenHash,
+    lastUsedAt: new Date(),
+    expiresAt: newExpiry()
+  };
+  if (userAgent) update.userAgent = userAgent;
+  if (ip) update.ip = ip;
+
+  const result = await this.constructor.updateOne(
+    { _id: this._id, tokenHash: this.tokenHash, revokedAt: null },
+    { $set: update }
+  );
+  return result.modifiedCount === 1 ? token : null;
+};
+
+// Method to revoke the session
+sessionSchema.methods.revoke = function(reason = 'revoked') {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Static method to hash a plaintext refresh token
+sessionSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static method to create a random refresh token; returns { token, tokenHash }
+sessionSchema.statics.generateToken = function() {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return { token, tokenHash: this.hashToken(token) };
+};
+
+// Static method to start a session; returns { session, refreshToken }
+sessionSchema.statics.createForUser = async function(userId, { userAgent, ip } = {}) {
+  const { token, tokenHash } = this.generateToken();
+  const session = await this.create({
+    userId,
+    tokenHash,
+    userAgent: userAgent || null,
+    ip: ip || null,
+    expiresAt: newExpiry()
+  });
+  return { session, refreshToken: token };
+};
+
+// Static method to look up a session by refresh token. Returns
+// { session, reused } where `reused` means an already-rotated token was presented.
+sessionSchema.statics.findByRefreshToken = async function(token) {
+  const tokenHash = this.hashToken(token);
+
+  const session = await this.findOne({ tokenHash }).select('+tokenHash +previousTokenHash');
+  if (session) return { session, reused: false };
+
+  const reusedSession = await this.findOne({ previousTokenHash: tokenHash }).select('+tokenHash +previousTokenHash');
+  return { session: reusedSession, reused: Boolean(reusedSession) };
+};
+
+// Static method to revoke all of a user's active sessions, optionally keeping one
+sessionSchema.statics.revokeAllForUser = function(userId, { exceptId = null, reason = 'revoked' } = {}) {
+  const filter = { userId, revokedAt: null };
+  if (exceptId) filter._id = { $ne: exceptId };
+  return this.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
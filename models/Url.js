@@ -1,23 +1,95 @@
 const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const Click = require('./Click');
+const { RULE_PLATFORMS } = require('../utils/redirectRules');
+const { TIME_PATTERN, isValidTimezone } = require('../utils/timeWindow');
+const { getLinkStatus } = require('../utils/linkStatus');
 
-const clickSchema = new mongoose.Schema({
-  timestamp: {
-    type: Date,
-    default: Date.now
+const MAX_REDIRECT_RULES = 20;
+const MAX_VARIANTS = 10;
+const MAX_AVAILABILITY_WINDOWS = 10;
+
+const isHttpUrl = (url) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol);
+  } catch {
+    return false;
+  }
+};
+
+// Weekly window in a timezone (see utils/timeWindow)
+const timeWindowSchema = new mongoose.Schema({
+  days: [{ type: Number, min: 0, max: 6 }],
+  startTime: { type: String, match: [TIME_PATTERN, 'Start time must be HH:MM'], default: '00:00' },
+  endTime: { type: String, match: [TIME_PATTERN, 'End time must be HH:MM'], default: '23:59' },
+  timezone: {
+    type: String,
+    default: 'UTC',
+    validate: { validator: isValidTimezone, message: 'Invalid timezone: {VALUE}' }
+  }
+}, { _id: false });
+
+// Conditional destination; every condition that is set must match the visitor
+const redirectRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Rule name cannot exceed 100 characters'],
+    default: ''
   },
-  ip: {
+  destination: {
     type: String,
-    required: false
+    required: [true, 'Rule destination is required'],
+    trim: true,
+    validate: {
+      validator: isHttpUrl,
+      message: 'Rule destination must be a valid http(s) URL'
+    }
   },
-  userAgent: {
+  platforms: [{
     type: String,
-    required: false
+    enum: { values: RULE_PLATFORMS, message: 'Invalid platform: {VALUE}' }
+  }],
+  // Language tags such as "en" or "pt-br"
+  languages: [{ type: String, lowercase: true, trim: true }],
+  // ISO 3166-1 alpha-2 country codes
+  countries: [{ type: String, uppercase: true, trim: true, match: [/^[A-Z]{2}$/, 'Invalid country code'] }],
+  referrerDomains: [{ type: String, lowercase: true, trim: true }],
+  timeWindow: {
+    type: timeWindowSchema,
+    default: null
   },
-  referer: {
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
+// A/B destination; visitors are split by weight and kept on their variant by cookie
+const variantSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Variant name is required'],
+    trim: true,
+    maxlength: [100, 'Variant name cannot exceed 100 characters']
+  },
+  destination: {
     type: String,
-    required: false
+    required: [true, 'Variant destination is required'],
+    trim: true,
+    validate: {
+      validator: isHttpUrl,
+      message: 'Variant destination must be a valid http(s) URL'
+    }
+  },
+  // Relative share of traffic; 0 pauses the variant
+  weight: {
+    type: Number,
+    default: 1,
+    min: [0, 'Variant weight cannot be negative'],
+    max: [1000, 'Variant weight cannot exceed 1000']
   }
-}, { _id: false });
+});
 
 const urlSchema = new mongoose.Schema({
   originalUrl: {
@@ -40,7 +112,6 @@ const urlSchema = new mongoose.Schema({
   shortCode: {
     type: String,
     required: [true, 'Short code is required'],
-    unique: true,
     trim: true,
     minlength: [4, 'Short code must be at least 4 characters'],
     maxlength: [10, 'Short code cannot exceed 10 characters'],
@@ -52,6 +123,19 @@ const urlSchema = new mongoose.Schema({
     required: [false, 'User ID is required'],
     index: true
   },
+  // Verified custom domain serving the link; null for the default BASE_URL domain
+  domain: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+  // Shared workspace the link belongs to; null for personal links
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null
+  },
   title: {
     type: String,
     trim: true,
@@ -87,6 +171,11 @@ const urlSchema = new mongoose.Schema({
       message: 'Expiry date must be in the future'
     }
   },
+  // Set once the url.expired webhook event has been sent
+  expiryNotifiedAt: {
+    type: Date,
+    default: null
+  },
   qrCode: {
     type: String, // Base64 encoded QR code
     default: null
@@ -96,17 +185,138 @@ const urlSchema = new mongoose.Schema({
     trim: true,
     maxlength: [50, 'Tag cannot exceed 50 characters']
   }],
-  // Store recent clicks for analytics (limit to last 1000 for performance)
-  recentClicks: {
-    type: [clickSchema],
+  // Campaign parameters merged into the destination at redirect time
+  utm: {
+    source: { type: String, trim: true, maxlength: [200, 'UTM source cannot exceed 200 characters'], default: null },
+    medium: { type: String, trim: true, maxlength: [200, 'UTM medium cannot exceed 200 characters'], default: null },
+    campaign: { type: String, trim: true, maxlength: [200, 'UTM campaign cannot exceed 200 characters'], default: null },
+    term: { type: String, trim: true, maxlength: [200, 'UTM term cannot exceed 200 characters'], default: null },
+    content: { type: String, trim: true, maxlength: [200, 'UTM content cannot exceed 200 characters'], default: null }
+  },
+  // Ordered conditional destinations; the first match wins, otherwise originalUrl
+  rules: {
+    type: [redirectRuleSchema],
     default: [],
     validate: {
-      validator: function(clicks) {
-        return clicks.length <= 1000;
-      },
-      message: 'Cannot store more than 1000 recent clicks'
+      validator: rules => rules.length <= MAX_REDIRECT_RULES,
+      message: `A link can have at most ${MAX_REDIRECT_RULES} redirect rules`
+    }
+  },
+  // Weighted A/B destinations used when no redirect rule matches
+  variants: {
+    type: [variantSchema],
+    default: [],
+    validate: {
+      validator: variants => variants.length <= MAX_VARIANTS,
+      message: `A link can have at most ${MAX_VARIANTS} variants`
+    }
+  },
+  // Link only starts redirecting at this date (scheduled campaigns)
+  activatesAt: {
+    type: Date,
+    default: null
+  },
+  // Recurring windows the link redirects in, e.g. weekdays 09:00-17:00; empty means always
+  availabilityWindows: {
+    type: [timeWindowSchema],
+    default: [],
+    validate: {
+      validator: windows => windows.length <= MAX_AVAILABILITY_WINDOWS,
+      message: `A link can have at most ${MAX_AVAILABILITY_WINDOWS} availability windows`
+    }
+  },
+  // Response while the link is scheduled or outside its windows: a redirect
+  // to unavailableUrl if set, otherwise unavailableMessage
+  unavailableMessage: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Unavailable message cannot exceed 500 characters'],
+    default: ''
+  },
+  unavailableUrl: {
+    type: String,
+    trim: true,
+    default: null,
+    validate: {
+      validator: url => url === null || url === '' || isHttpUrl(url),
+      message: 'Unavailable URL must be a valid http(s) URL'
+    }
+  },
+  // Shown to browsers instead of the account-wide fallback when the link is
+  // expired, deactivated or used up: a redirect to fallbackUrl, else fallbackMessage
+  fallbackUrl: {
+    type: String,
+    trim: true,
+    default: null,
+    validate: {
+      validator: url => url === null || url === '' || isHttpUrl(url),
+      message: 'Fallback URL must be a valid http(s) URL'
     }
   },
+  fallbackMessage: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Fallback message cannot exceed 500 characters'],
+    default: ''
+  },
+  // Show a "you are leaving" page before redirecting. The visitor continues
+  // after interstitialDelay seconds or on click (0 waits for the click).
+  interstitial: {
+    type: Boolean,
+    default: false
+  },
+  interstitialDelay: {
+    type: Number,
+    min: [0, 'Interstitial delay cannot be negative'],
+    max: [60, 'Interstitial delay cannot exceed 60 seconds'],
+    default: 5
+  },
+  // Stop redirecting after this many clicks (1 = one-time link); null means unlimited
+  maxClicks: {
+    type: Number,
+    min: [1, 'Click limit must be at least 1'],
+    default: null
+  },
+  // Redirects counted against maxClicks. Claimed atomically on the redirect
+  // path, unlike `clicks` which is written in batches by the click queue.
+  usedClicks: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Set when an admin disables the link for abuse. The owner cannot undo it;
+  // it is independent of isActive, which stays under the owner's control.
+  adminDisabledAt: {
+    type: Date,
+    default: null
+  },
+  adminDisabledReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+    default: ''
+  },
+  // What disabled the link: a deactivated 'account' (undone when the account is
+  // reactivated), an admin acting on the 'link' itself, or a rejected 'review'
+  adminDisabledSource: {
+    type: String,
+    enum: ['account', 'link', 'review', null],
+    default: null
+  },
+  // Destination policy review state. 'flagged' links stop redirecting until an
+  // admin approves them (policy re-checks are then skipped) or rejects them
+  // (which also disables the link by admin).
+  policyStatus: {
+    type: String,
+    enum: ['clear', 'flagged', 'approved', 'rejected'],
+    default: 'clear'
+  },
+  // Optional bcrypt hash; when set the link must be unlocked before redirecting
+  password: {
+    type: String,
+    default: null,
+    select: false
+  },
   // Aggregated daily statistics
   dailyStats: [{
     date: { type: Date, required: true },
@@ -118,17 +328,21 @@ const urlSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
-// Compound indexes for better query performance (shortCode unique handled by schema)
+// Short codes are unique per domain
+urlSchema.index({ domain: 1, shortCode: 1 }, { unique: true });
+// Compound indexes for better query performance
 urlSchema.index({ userId: 1, createdAt: -1 });
 urlSchema.index({ userId: 1, clicks: -1 });
 urlSchema.index({ expiryDate: 1 }, { sparse: true });
+urlSchema.index({ userId: 1, 'utm.campaign': 1 });
+urlSchema.index({ workspaceId: 1, createdAt: -1 });
+urlSchema.index({ activatesAt: 1 }, { sparse: true });
 // Prevent duplicate URLs per user (race condition protection)
 urlSchema.index({ userId: 1, originalUrl: 1, isActive: 1 }, { unique: true });
 
 // Virtual for the full short URL
 urlSchema.virtual('shortUrl').get(function() {
-  const baseUrl = process.env.BASE_URL || 'http://localhost:5001';
-  return `${baseUrl}/${this.shortCode}`;
+  return this.constructor.buildShortUrl(this.shortCode, this.domain);
 });
 
 // Virtual for click rate (clicks per day since creation)
@@ -175,79 +389,219 @@ urlSchema.methods.isExpired = function() {
   return this.expiryDate && this.expiryDate < new Date();
 };
 
+// Method to get the computed lifecycle status (see utils/linkStatus)
+urlSchema.methods.getStatus = function(now = new Date()) {
+  return getLinkStatus(this, now);
+};
+
+// Method to check if the click limit has been used up
+urlSchema.methods.isExhausted = function() {
+  return this.maxClicks !== null && this.maxClicks !== undefined && this.usedClicks >= this.maxClicks;
+};
+
+// Method to check a submitted password against the stored hash
+urlSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return true;
+  try {
+    return await bcrypt.compare(candidatePassword, this.password);
+  } catch (error) {
+    throw new Error('Password comparison failed');
+  }
+};
+
 // Method to increment click count with analytics
+// Writes immediately; the redirect path batches through utils/clickQueue instead.
 urlSchema.methods.incrementClicks = async function(clickData = {}) {
   try {
-    console.log(`🔢 Before increment: ${this.shortCode} has ${this.clicks} clicks`);
-
     const now = new Date();
-    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-
-    // Use atomic update to avoid version conflicts
-    const updateData = {
-      $inc: { clicks: 1 },
-      $set: { lastClicked: now },
-      $push: {
-        recentClicks: {
-          $each: [{
-            timestamp: now,
-            ip: clickData.ip,
-            userAgent: clickData.userAgent,
-            referer: clickData.referer
-          }],
-          $slice: -1000 // Keep only last 1000 clicks
+    await this.constructor.recordClickBatch([{ url: this, clickData: { timestamp: now, ...clickData } }]);
+
+    // Reflect the update on this instance
+    this.clicks += 1;
+    this.lastClicked = now;
+
+    console.log(`💾 Recorded click for ${this.shortCode}, now ${this.clicks} clicks`);
+    return this;
+  } catch (error) {
+    console.error('❌ Error incrementing clicks:', error);
+    throw error;
+  }
+};
+
+// Indexes of the operations that failed in a bulk write of `count` ops.
+// Duplicate key errors mean the write already happened and are ignored; an
+// error without per-operation details counts every operation as failed.
+const failedWriteIndexes = (error, count) => {
+  if (!Array.isArray(error.writeErrors)) {
+    return new Set(Array.from({ length: count }, (value, index) => index));
+  }
+  return new Set(error.writeErrors
+    .filter(writeError => writeError.code !== 11000)
+    .map(writeError => writeError.index));
+};
+
+// Static method to persist a batch of clicks with a handful of bulk writes:
+// one insertMany for the click events, one $inc per URL and day and one
+// $inc per owning user. `clicks` is an array of { url, clickData, clickId }.
+//
+// Retries are idempotent: each entry keeps the click _id assigned on its first
+// attempt, so an event that is already stored fails with 11000 and counts as
+// written, and counters are only bumped for stored events. When part of the
+// batch fails the thrown error carries `failedClicks`, the entries to retry.
+urlSchema.statics.recordClickBatch = async function(clicks) {
+  if (!clicks.length) return { clicks: 0, urls: 0 };
+
+  clicks.forEach((entry) => {
+    if (!entry.clickId) entry.clickId = new mongoose.Types.ObjectId();
+  });
+  const clickDocs = clicks.map(({ url, clickData, clickId }) => ({
+    ...Click.fromClickData(url, clickData),
+    _id: clickId
+  }));
+
+  let failed = new Set();
+  let batchError = null;
+
+  try {
+    await Click.insertMany(clickDocs, { ordered: false });
+  } catch (error) {
+    failed = failedWriteIndexes(error, clickDocs.length);
+    if (failed.size) batchError = error;
+  }
+
+  // Group counters by URL + day, for stored clicks only
+  const urlDayCounts = new Map();
+
+  clickDocs.forEach((click, index) => {
+    if (failed.has(index)) return;
+
+    const ts = click.timestamp;
+    const day = new Date(ts.getFullYear(), ts.getMonth(), ts.getDate());
+    const key = `${click.urlId}:${day.getTime()}`;
+    const entry = urlDayCounts.get(key) || { urlId: click.urlId, day, count: 0, lastClicked: ts, indexes: [] };
+    entry.count += 1;
+    entry.indexes.push(index);
+    if (ts > entry.lastClicked) entry.lastClicked = ts;
+    urlDayCounts.set(key, entry);
+  });
+
+  // One pipeline update per URL/day bumps the existing dailyStats entry or
+  // appends a new one, so concurrent flushes of a day's first click can't
+  // lose each other's counts
+  const urlGroups = Array.from(urlDayCounts.values());
+  const urlOps = urlGroups.map(({ urlId, day, count, lastClicked }) => ({
+    updateOne: {
+      filter: { _id: urlId },
+      update: [{
+        $set: {
+          clicks: { $add: [{ $ifNull: ['$clicks', 0] }, count] },
+          lastClicked: { $max: ['$lastClicked', lastClicked] },
+          dailyStats: {
+            $cond: [
+              { $in: [day, { $ifNull: ['$dailyStats.date', []] }] },
+              {
+                $map: {
+                  input: '$dailyStats',
+                  as: 'stat',
+                  in: {
+                    $cond: [
+                      { $eq: ['$$stat.date', day] },
+                      { $mergeObjects: ['$$stat', { clicks: { $add: ['$$stat.clicks', count] } }] },
+                      '$$stat'
+                    ]
+                  }
+                }
+              },
+              {
+                $slice: [
+                  {
+                    $concatArrays: [
+                      { $ifNull: ['$dailyStats', []] },
+                      [{ _id: new mongoose.Types.ObjectId(), date: day, clicks: count }]
+                    ]
+                  },
+                  -365
+                ]
+              }
+            ]
+          }
         }
-      }
-    };
+      }]
+    }
+  }));
 
-    // Handle daily stats atomically
-    const todayStatsIndex = this.dailyStats.findIndex(stat =>
-      stat.date.getTime() === today.getTime()
-    );
+  if (urlOps.length) {
+    try {
+      await this.bulkWrite(urlOps, { ordered: false });
+    } catch (error) {
+      // A failed URL/day update sends its clicks back for another attempt
+      const failedOps = failedWriteIndexes(error, urlOps.length);
+      urlGroups.forEach((group, groupIndex) => {
+        if (failedOps.has(groupIndex)) {
+          group.indexes.forEach(index => failed.add(index));
+        }
+      });
+      if (failedOps.size) batchError = batchError || error;
+    }
+  }
 
-    if (todayStatsIndex >= 0) {
-      updateData.$inc[`dailyStats.${todayStatsIndex}.clicks`] = 1;
-    } else {
-      updateData.$push.dailyStats = {
-        $each: [{ date: today, clicks: 1 }],
-        $slice: -365 // Keep only last 365 days
-      };
+  // Per-user totals, for clicks that are fully recorded
+  const userCounts = new Map();
+  clickDocs.forEach((click, index) => {
+    if (failed.has(index) || !click.userId) return;
+    const userKey = String(click.userId);
+    userCounts.set(userKey, (userCounts.get(userKey) || 0) + 1);
+  });
+
+  const userOps = Array.from(userCounts, ([userId, count]) => ({
+    updateOne: {
+      filter: { _id: userId },
+      update: { $inc: { totalClicks: count } }
     }
+  }));
 
-    // Perform atomic update
-    const result = await this.constructor.findByIdAndUpdate(
-      this._id,
-      updateData,
-      { new: true, runValidators: true }
-    );
+  // User totals are informational - don't fail the batch on them
+  if (userOps.length) {
+    try {
+      await mongoose.model('User').bulkWrite(userOps, { ordered: false });
+    } catch (userUpdateError) {
+      console.error('Failed to update user total clicks:', userUpdateError);
+    }
+  }
 
-    console.log(`🔢 After increment: ${this.shortCode} now has ${result.clicks} clicks`);
+  if (batchError) {
+    batchError.failedClicks = clicks.filter((entry, index) => failed.has(index));
+    throw batchError;
+  }
 
-    // Update user's total clicks (non-blocking)
-    setImmediate(async() => {
-      try {
-        await mongoose.model('User').findByIdAndUpdate(
-          this.userId,
-          { $inc: { totalClicks: 1 } }
-        );
-      } catch (userUpdateError) {
-        console.error('Failed to update user total clicks:', userUpdateError);
-      }
-    });
+  return { clicks: clickDocs.length, urls: new Set(clickDocs.map(click => String(click.urlId))).size };
+};
 
-    // Update this instance with new data
-    Object.assign(this, result.toObject());
+// Static method to atomically claim one click of a click-limited link.
+// Returns the remaining clicks, or null once the limit is exhausted, so
+// concurrent redirects can never overshoot maxClicks.
+urlSchema.statics.claimLimitedClick = async function(urlId) {
+  const updated = await this.findOneAndUpdate(
+    { _id: urlId, maxClicks: { $ne: null }, $expr: { $lt: ['$usedClicks', '$maxClicks'] } },
+    { $inc: { usedClicks: 1 } },
+    { new: true, projection: { maxClicks: 1, usedClicks: 1 } }
+  ).lean();
 
-    console.log(`💾 Saved URL ${this.shortCode} with ${result.clicks} clicks`);
-    return result;
-  } catch (error) {
-    console.error('❌ Error incrementing clicks:', error);
-    throw error;
+  return updated ? updated.maxClicks - updated.usedClicks : null;
+};
+
+// Static method to build a short URL on the link's custom domain or BASE_URL
+urlSchema.statics.buildShortUrl = function(shortCode, domain = null) {
+  if (domain) {
+    return `${process.env.CUSTOM_DOMAIN_PROTOCOL || 'https'}://${domain}/${shortCode}`;
   }
+  const baseUrl = process.env.BASE_URL || 'http://localhost:5001';
+  return `${baseUrl}/${shortCode}`;
 };
 
 // Static method to generate unique short code with better collision handling
-urlSchema.statics.generateShortCode = async function(length = 6) {
+// (codes only need to be unique on their own domain)
+urlSchema.statics.generateShortCode = async function(length = 6, domain = null) {
   const characters = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789_-';
   const maxAttempts = 50; // Increased attempts for better collision handling
 
@@ -277,7 +631,7 @@ urlSchema.statics.generateShortCode = async function(length = 6) {
     }
 
     // Check if shortCode already exists atomically
-    const existing = await this.findOne({ shortCode });
+    const existing = await this.findOne({ shortCode, domain });
     if (!existing) {
       return shortCode; // Found a unique code
     }
@@ -291,7 +645,7 @@ urlSchema.statics.generateShortCode = async function(length = 6) {
   const fallbackCode = (timestamp + random).substring(0, Math.max(length, 8));
 
   // One final check for the fallback code
-  const existingFallback = await this.findOne({ shortCode: fallbackCode });
+  const existingFallback = await this.findOne({ shortCode: fallbackCode, domain });
   if (!existingFallback) {
     return fallbackCode;
   }
@@ -299,6 +653,12 @@ urlSchema.statics.generateShortCode = async function(length = 6) {
   throw new Error('Unable to generate unique short code after all attempts');
 };
 
+// Static method to hash a link password before storing it
+urlSchema.statics.hashPassword = async function(plainPassword) {
+  const salt = await bcrypt.genSalt(10);
+  return bcrypt.hash(plainPassword, salt);
+};
+
 // Static method to find active URLs by user
 urlSchema.statics.findActiveByUser = function(userId, options = {}) {
   const query = { userId, isActive: true };
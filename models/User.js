@@ -1,5 +1,36 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const totp = require('../utils/totp');
+const { PLAN_NAMES } = require('../utils/plans');
+
+const BACKUP_CODE_COUNT = 10;
+
+// Where browsers go (or what they read) when one of the user's links can't redirect
+const linkFallbackSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    trim: true,
+    default: null,
+    validate: {
+      validator: function(url) {
+        if (!url) return true;
+        try {
+          return ['http:', 'https:'].includes(new URL(url).protocol);
+        } catch {
+          return false;
+        }
+      },
+      message: 'Fallback URL must be a valid http(s) URL'
+    }
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Fallback message cannot exceed 500 characters'],
+    default: null
+  }
+}, { _id: false });
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -29,10 +60,89 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Site-wide role; admins can use the /api/admin moderation routes
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+  // Accounts created before verification existed count as verified;
+  // registration and email changes set this to false until confirmed
+  emailVerified: {
+    type: Boolean,
+    default: true
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  // Throttles "resend verification email"
+  verificationSentAt: {
+    type: Date,
+    default: null
+  },
+  // TOTP two-factor authentication. The secret is only moved from
+  // twoFactorPendingSecret once the user has proven their app generates codes.
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorEnabledAt: {
+    type: Date,
+    default: null
+  },
+  twoFactorSecret: {
+    type: String,
+    default: null,
+    select: false
+  },
+  twoFactorPendingSecret: {
+    type: String,
+    default: null,
+    select: false
+  },
+  // SHA-256 hashes of unused backup codes
+  twoFactorBackupCodes: {
+    type: [String],
+    default: [],
+    select: false
+  },
+  // Last accepted TOTP time step, so a code can't be used twice
+  twoFactorLastStep: {
+    type: Number,
+    default: null,
+    select: false
+  },
+  // Plan whose quotas apply (see utils/plans.js)
+  plan: {
+    type: String,
+    enum: PLAN_NAMES,
+    default: 'free'
+  },
   lastLogin: {
     type: Date,
     default: null
   },
+  // Wrong passwords in the current login attempt window, whichever
+  // identifier (email or username) was typed
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date,
+    default: null
+  },
+  // Password logins are refused until this time
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  // Access tokens issued before this are rejected (covers tokens without a session)
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
   urlCount: {
     type: Number,
     default: 0
@@ -40,6 +150,12 @@ const userSchema = new mongoose.Schema({
   totalClicks: {
     type: Number,
     default: 0
+  },
+  // Account-wide fallbacks; a link's own fallback takes precedence
+  linkFallbacks: {
+    expired: { type: linkFallbackSchema, default: null },
+    inactive: { type: linkFallbackSchema, default: null },
+    notFound: { type: linkFallbackSchema, default: null }
   }
 }, {
   timestamps: true,
@@ -86,6 +202,34 @@ userSchema.methods.updateLastLogin = function() {
   return this.save({ validateBeforeSave: false });
 };
 
+// Method to count a wrong password; the count restarts when the previous
+// failure is older than windowMs. Returns the new count.
+userSchema.methods.recordFailedLogin = async function(windowMs) {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - windowMs);
+
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    [{
+      $set: {
+        failedLoginAttempts: {
+          $cond: [
+            { $gt: [{ $ifNull: ['$lastFailedLoginAt', windowStart] }, windowStart] },
+            { $add: [{ $ifNull: ['$failedLoginAttempts', 0] }, 1] },
+            1
+          ]
+        },
+        lastFailedLoginAt: now
+      }
+    }],
+    { new: true, projection: { failedLoginAttempts: 1 } }
+  );
+
+  this.failedLoginAttempts = updated.failedLoginAttempts;
+  this.lastFailedLoginAt = now;
+  return updated.failedLoginAttempts;
+};
+
 // Static method to find user by email or username
 userSchema.statics.findByEmailOrUsername = function(identifier) {
   return this.findOne({
@@ -96,10 +240,56 @@ userSchema.statics.findByEmailOrUsername = function(identifier) {
   }).select('+password');
 };
 
-// Remove password from JSON output
+// Static method to hash a backup code; dashes and case are ignored
+userSchema.statics.hashBackupCode = function(code) {
+  const normalized = String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+// Static method to create a fresh set of backup codes; returns { codes, hashes }
+userSchema.statics.generateBackupCodes = function() {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(code => this.hashBackupCode(code)) };
+};
+
+// Method to check a second-factor code: a TOTP code from the authenticator app
+// or an unused backup code. Each code is accepted once; the check-and-consume
+// is a single conditional update so concurrent requests can't both use it.
+// Requires +twoFactorSecret. Returns 'totp', 'backup_code' or null.
+userSchema.methods.verifyTwoFactorCode = async function(code) {
+  if (!this.twoFactorEnabled || !this.twoFactorSecret) return null;
+
+  const step = totp.verifyCode(this.twoFactorSecret, code);
+  if (step !== null) {
+    const result = await this.constructor.updateOne(
+      {
+        _id: this._id,
+        $or: [{ twoFactorLastStep: null }, { twoFactorLastStep: { $lt: step } }]
+      },
+      { $set: { twoFactorLastStep: step } }
+    );
+    return result.modifiedCount === 1 ? 'totp' : null;
+  }
+
+  const hash = this.constructor.hashBackupCode(code);
+  const result = await this.constructor.updateOne(
+    { _id: this._id, twoFactorBackupCodes: hash },
+    { $pull: { twoFactorBackupCodes: hash } }
+  );
+  return result.modifiedCount === 1 ? 'backup_code' : null;
+};
+
+// Remove password and two-factor secrets from JSON output
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.twoFactorSecret;
+  delete userObject.twoFactorPendingSecret;
+  delete userObject.twoFactorBackupCodes;
+  delete userObject.twoFactorLastStep;
   return userObject;
 };
 
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const WEBHOOK_EVENTS = ['url.created', 'url.updated', 'url.deleted', 'url.expired', 'url.clicked'];
+
+const webhookSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  targetUrl: {
+    type: String,
+    required: [true, 'Target URL is required'],
+    trim: true,
+    validate: {
+      validator: function(url) {
+        try {
+          const { protocol } = new URL(url);
+          return protocol === 'http:' || protocol === 'https:';
+        } catch {
+          return false;
+        }
+      },
+      message: 'Please provide a valid http(s) URL'
+    }
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters'],
+    default: ''
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: {
+        values: WEBHOOK_EVENTS,
+        message: 'Invalid event: {VALUE}'
+      }
+    }],
+    validate: {
+      validator: function(events) {
+        return events.length > 0;
+      },
+      message: 'Subscribe to at least one event'
+    }
+  },
+  // For url.clicked: deliver on every Nth click of a link (1 = every click)
+  clickEvery: {
+    type: Number,
+    default: 1,
+    min: [1, 'clickEvery must be at least 1']
+  },
+  // Shared secret for the HMAC-SHA256 signature
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastDeliveryAt: {
+    type: Date,
+    default: null
+  },
+  lastDeliveryStatus: {
+    type: String,
+    enum: ['success', 'failed', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+webhookSchema.index({ userId: 1, isActive: 1 });
+
+// Static method to generate a signing secret
+webhookSchema.statics.generateSecret = function() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+};
+
+webhookSchema.statics.EVENTS = WEBHOOK_EVENTS;
+
+module.exports = mongoose.model('Webhook', webhookSchema);
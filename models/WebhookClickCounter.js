@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Running click count of one link for one webhook, used for clickEvery > 1.
+// Kept out of the Webhook document so it doesn't grow with every link clicked.
+const webhookClickCounterSchema = new mongoose.Schema({
+  webhookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  urlId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Url',
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  }
+});
+
+webhookClickCounterSchema.index({ webhookId: 1, urlId: 1 }, { unique: true });
+
+// Static method to count a click; returns the new count
+webhookClickCounterSchema.statics.increment = async function(webhookId, urlId) {
+  const filter = { webhookId, urlId };
+  const update = { $inc: { count: 1 } };
+
+  try {
+    const counter = await this.findOneAndUpdate(filter, update, { upsert: true, new: true }).lean();
+    return counter.count;
+  } catch (error) {
+    // Two first clicks raced on the upsert; the document exists now
+    if (error.code !== 11000) throw error;
+    const counter = await this.findOneAndUpdate(filter, update, { new: true }).lean();
+    return counter.count;
+  }
+};
+
+module.exports = mongoose.model('WebhookClickCounter', webhookClickCounterSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Delivery log entries are kept for WEBHOOK_LOG_RETENTION_DAYS (default 30)
+const retentionDays = parseInt(process.env.WEBHOOK_LOG_RETENTION_DAYS, 10) || 30;
+
+const webhookDeliverySchema = new mongoose.Schema({
+  webhookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // pending -> delivering -> success | pending (retry) | failed (gave up)
+  status: {
+    type: String,
+    enum: ['pending', 'delivering', 'success', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  responseStatus: {
+    type: Number,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  durationMs: {
+    type: Number,
+    default: null
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: retentionDays * 24 * 60 * 60 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// Roles in ascending order of privilege
+const WORKSPACE_ROLES = ['viewer', 'editor', 'admin', 'owner'];
+
+const memberSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: {
+      values: WORKSPACE_ROLES,
+      message: 'Invalid role: {VALUE}'
+    },
+    required: true
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const workspaceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Workspace name is required'],
+    trim: true,
+    minlength: [2, 'Workspace name must be at least 2 characters'],
+    maxlength: [100, 'Workspace name cannot exceed 100 characters']
+  },
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  members: {
+    type: [memberSchema],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+workspaceSchema.index({ 'members.userId': 1 });
+
+// Method to get a user's role in this workspace (null if not a member)
+workspaceSchema.methods.getRole = function(userId) {
+  // userId may be populated on loaded members
+  const member = this.members.find(m => String(m.userId?._id || m.userId) === String(userId));
+  return member ? member.role : null;
+};
+
+// Static method to compare roles: true if `role` is at least `minRole`
+workspaceSchema.statics.hasRole = function(role, minRole) {
+  return Boolean(role) && WORKSPACE_ROLES.indexOf(role) >= WORKSPACE_ROLES.indexOf(minRole);
+};
+
+// Static method to get a user's role in a workspace without loading members
+workspaceSchema.statics.getMemberRole = async function(workspaceId, userId) {
+  const workspace = await this.findOne(
+    { _id: workspaceId, 'members.userId': userId },
+    { 'members.$': 1 }
+  ).lean();
+  return workspace?.members?.[0]?.role || null;
+};
+
+workspaceSchema.statics.ROLES = WORKSPACE_ROLES;
+
+module.exports = mongoose.model('Workspace', workspaceSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const invitationSchema = new mongoose.Schema({
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true,
+    index: true
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: {
+      values: ['viewer', 'editor', 'admin'],
+      message: 'Invalid role: {VALUE}'
+    },
+    default: 'viewer'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the invitation token sent to the invitee
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Method to check whether the invitation can still be accepted
+invitationSchema.methods.isPending = function() {
+  return !this.acceptedAt && this.expiresAt > new Date();
+};
+
+// Static method to hash a plaintext token
+invitationSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static method to create a random token; returns { token, tokenHash }
+invitationSchema.statics.generateToken = function() {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return { token, tokenHash: this.hashToken(token) };
+};
+
+module.exports = mongoose.model('WorkspaceInvitation', invitationSchema);
@@ -0,0 +1,322 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+  listDomainPolicies,
+  addDomainPolicy,
+  removeDomainPolicy,
+  checkDestinationPolicy,
+  listReviews,
+  approveReview,
+  rejectReview
+} = require('../controllers/policyController');
+const {
+  listUsers,
+  getUser,
+  updateUserStatus,
+  updateUserRole,
+  updateUserPlan,
+  listUrls,
+  updateUrlStatus,
+  getSiteStats,
+  listAuditLog
+} = require('../controllers/adminController');
+const { auth, rejectApiKey, requireRole } = require('../middleware/auth');
+const DomainPolicy = require('../models/DomainPolicy');
+const LinkReview = require('../models/LinkReview');
+const AdminAuditLog = require('../models/AdminAuditLog');
+const { LINK_STATUSES } = require('../utils/linkStatus');
+const { PLAN_NAMES } = require('../utils/plans');
+
+const router = express.Router();
+
+// Validation rules
+const paginationValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  query('sortOrder')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('Sort order must be asc or desc')
+];
+
+const listUsersValidation = [
+  ...paginationValidation,
+
+  query('search')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Search cannot exceed 100 characters'),
+
+  query('role')
+    .optional()
+    .isIn(['user', 'admin'])
+    .withMessage('Role must be user or admin'),
+
+  query('isActive')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('isActive must be true or false'),
+
+  query('sortBy')
+    .optional()
+    .isIn(['createdAt', 'lastLogin', 'urlCount', 'totalClicks', 'username'])
+    .withMessage('Invalid sort field')
+];
+
+const userStatusValidation = [
+  body('isActive')
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+    .toBoolean(),
+
+  body('includeLinks')
+    .optional()
+    .isBoolean()
+    .withMessage('includeLinks must be a boolean')
+    .toBoolean(),
+
+  body('reason')
+    .optional({ values: 'null' })
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+];
+
+const userRoleValidation = [
+  body('role')
+    .isIn(['user', 'admin'])
+    .withMessage('Role must be user or admin')
+];
+
+const userPlanValidation = [
+  body('plan')
+    .isIn(PLAN_NAMES)
+    .withMessage(`Plan must be one of: ${PLAN_NAMES.join(', ')}`)
+];
+
+const listUrlsValidation = [
+  ...paginationValidation,
+
+  query('search')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Search cannot exceed 100 characters'),
+
+  query('userId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+
+  query('domain')
+    .optional()
+    .isString()
+    .withMessage('Invalid domain'),
+
+  query('status')
+    .optional()
+    .isIn(LINK_STATUSES)
+    .withMessage(`Status must be one of: ${LINK_STATUSES.join(', ')}`),
+
+  query('sortBy')
+    .optional()
+    .isIn(['createdAt', 'clicks', 'lastClicked'])
+    .withMessage('Invalid sort field')
+];
+
+const urlStatusValidation = [
+  body('disabled')
+    .isBoolean()
+    .withMessage('disabled must be a boolean')
+    .toBoolean(),
+
+  body('reason')
+    .optional({ values: 'null' })
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+];
+
+const auditLogValidation = [
+  ...paginationValidation,
+
+  query('actorId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid actor ID'),
+
+  query('targetId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid target ID'),
+
+  query('targetType')
+    .optional()
+    .isIn(AdminAuditLog.TARGET_TYPES)
+    .withMessage(`Target type must be one of: ${AdminAuditLog.TARGET_TYPES.join(', ')}`),
+
+  query('action')
+    .optional()
+    .isString()
+    .withMessage('Invalid action')
+];
+
+const listDomainPoliciesValidation = [
+  query('list')
+    .optional()
+    .isIn(DomainPolicy.LISTS)
+    .withMessage(`List must be one of: ${DomainPolicy.LISTS.join(', ')}`)
+];
+
+const addDomainPolicyValidation = [
+  body('hostname')
+    .trim()
+    .isFQDN()
+    .withMessage('Please provide a hostname such as example.com'),
+
+  body('list')
+    .isIn(DomainPolicy.LISTS)
+    .withMessage(`List must be one of: ${DomainPolicy.LISTS.join(', ')}`),
+
+  body('reason')
+    .optional({ values: 'null' })
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+];
+
+const checkDestinationValidation = [
+  body('url')
+    .isString()
+    .notEmpty()
+    .withMessage('URL is required')
+];
+
+const listReviewsValidation = [
+  query('status')
+    .optional()
+    .isIn([...LinkReview.STATUSES, 'all'])
+    .withMessage(`Status must be one of: ${[...LinkReview.STATUSES, 'all'].join(', ')}`),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+const reviewDecisionValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid review ID'),
+
+  body('note')
+    .optional({ values: 'null' })
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters')
+];
+
+const idValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ID')
+];
+
+// Admin routes need a logged-in admin session
+router.use(auth, rejectApiKey, requireRole('admin'));
+
+// @route   GET /api/admin/stats
+// @desc    Site-wide user, link, click and review statistics
+// @access  Private (admin)
+router.get('/stats', getSiteStats);
+
+// @route   GET /api/admin/users
+// @desc    List and search users (?search=&role=&isActive=)
+// @access  Private (admin)
+router.get('/users', listUsersValidation, listUsers);
+
+// @route   GET /api/admin/users/:id
+// @desc    Get a user with link counts and recent admin actions
+// @access  Private (admin)
+router.get('/users/:id', idValidation, getUser);
+
+// @route   PUT /api/admin/users/:id/status
+// @desc    Deactivate or reactivate a user (optionally with all their links)
+// @access  Private (admin)
+router.put('/users/:id/status', idValidation, userStatusValidation, updateUserStatus);
+
+// @route   PUT /api/admin/users/:id/role
+// @desc    Change a user's role
+// @access  Private (admin)
+router.put('/users/:id/role', idValidation, userRoleValidation, updateUserRole);
+
+// @route   PUT /api/admin/users/:id/plan
+// @desc    Change a user's plan (and with it their quotas)
+// @access  Private (admin)
+router.put('/users/:id/plan', idValidation, userPlanValidation, updateUserPlan);
+
+// @route   GET /api/admin/urls
+// @desc    List and search URLs of all users (?search=&userId=&domain=&status=)
+// @access  Private (admin)
+router.get('/urls', listUrlsValidation, listUrls);
+
+// @route   PUT /api/admin/urls/:id/status
+// @desc    Disable or re-enable a URL
+// @access  Private (admin)
+router.put('/urls/:id/status', idValidation, urlStatusValidation, updateUrlStatus);
+
+// @route   GET /api/admin/audit
+// @desc    List the audit trail of admin actions
+// @access  Private (admin)
+router.get('/audit', auditLogValidation, listAuditLog);
+
+// @route   GET /api/admin/policy/domains
+// @desc    List blocklist/allowlist entries (?list=blocklist|allowlist)
+// @access  Private (admin)
+router.get('/policy/domains', listDomainPoliciesValidation, listDomainPolicies);
+
+// @route   POST /api/admin/policy/domains
+// @desc    Add a domain (and its subdomains) to the blocklist or allowlist
+// @access  Private (admin)
+router.post('/policy/domains', addDomainPolicyValidation, addDomainPolicy);
+
+// @route   DELETE /api/admin/policy/domains/:id
+// @desc    Remove a blocklist/allowlist entry
+// @access  Private (admin)
+router.delete('/policy/domains/:id', idValidation, removeDomainPolicy);
+
+// @route   POST /api/admin/policy/check
+// @desc    Dry-run the destination policy against a URL
+// @access  Private (admin)
+router.post('/policy/check', checkDestinationValidation, checkDestinationPolicy);
+
+// @route   GET /api/admin/reviews
+// @desc    List flagged links (?status=pending|approved|rejected|resolved|all)
+// @access  Private (admin)
+router.get('/reviews', listReviewsValidation, listReviews);
+
+// @route   POST /api/admin/reviews/:id/approve
+// @desc    Approve a flagged link so it redirects again
+// @access  Private (admin)
+router.post('/reviews/:id/approve', reviewDecisionValidation, approveReview);
+
+// @route   POST /api/admin/reviews/:id/reject
+// @desc    Reject a flagged link and disable it
+// @access  Private (admin)
+router.post('/reviews/:id/reject', reviewDecisionValidation, rejectReview);
+
+module.exports = router;
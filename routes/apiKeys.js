@@ -0,0 +1,75 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const {
+  createApiKey,
+  listApiKeys,
+  renameApiKey,
+  revokeApiKey
+} = require('../controllers/apiKeyController');
+const { auth, rejectApiKey } = require('../middleware/auth');
+const ApiKey = require('../models/ApiKey');
+
+const router = express.Router();
+
+// Validation rules
+const nameValidation = body('name')
+  .trim()
+  .notEmpty()
+  .withMessage('Key name is required')
+  .isLength({ max: 100 })
+  .withMessage('Key name cannot exceed 100 characters');
+
+const createApiKeyValidation = [
+  nameValidation,
+
+  body('scopes')
+    .optional()
+    .isArray()
+    .withMessage('Scopes must be an array'),
+
+  body('scopes.*')
+    .isIn(ApiKey.SCOPES)
+    .withMessage(`Scopes must be one of: ${ApiKey.SCOPES.join(', ')}`),
+
+  body('expiresAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Please provide a valid date in ISO 8601 format')
+    .custom((value) => {
+      if (new Date(value) <= new Date()) {
+        throw new Error('Expiry date must be in the future');
+      }
+      return true;
+    })
+];
+
+const keyIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid API key ID')
+];
+
+// API keys can only be managed from a logged-in session
+router.use(auth, rejectApiKey);
+
+// @route   POST /api/keys
+// @desc    Create API key (the plaintext key is returned once)
+// @access  Private
+router.post('/', createApiKeyValidation, createApiKey);
+
+// @route   GET /api/keys
+// @desc    List API keys
+// @access  Private
+router.get('/', listApiKeys);
+
+// @route   PUT /api/keys/:id
+// @desc    Rename API key
+// @access  Private
+router.put('/:id', keyIdValidation, nameValidation, renameApiKey);
+
+// @route   DELETE /api/keys/:id
+// @desc    Revoke API key
+// @access  Private
+router.delete('/:id', keyIdValidation, revokeApiKey);
+
+module.exports = router;
@@ -1,13 +1,32 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param } = require('express-validator');
 const {
   registerUser,
   loginUser,
   getCurrentUser,
   updateProfile,
-  changePassword
+  changePassword,
+  refreshSession,
+  logoutUser,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  verifyTwoFactorLogin,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes
 } = require('../controllers/authController');
-const { auth } = require('../middleware/auth');
+const { auth, rejectApiKey } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { FALLBACK_PAGES } = require('../utils/fallbacks');
+
+const FALLBACK_REASONS = Object.keys(FALLBACK_PAGES);
 
 const router = express.Router();
 
@@ -56,7 +75,25 @@ const updateProfileValidation = [
     .optional()
     .isEmail()
     .normalizeEmail()
-    .withMessage('Please provide a valid email address')
+    .withMessage('Please provide a valid email address'),
+
+  body('linkFallbacks')
+    .optional()
+    .isObject()
+    .withMessage('Link fallbacks must be an object')
+    .custom(value => Object.keys(value).every(reason => FALLBACK_REASONS.includes(reason)))
+    .withMessage(`Link fallbacks can only be set for: ${FALLBACK_REASONS.join(', ')}`),
+
+  body('linkFallbacks.*.url')
+    .optional({ values: 'falsy' })
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Fallback URL must be a valid http(s) URL'),
+
+  body('linkFallbacks.*.message')
+    .optional({ values: 'null' })
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Fallback message cannot exceed 500 characters')
 ];
 
 const changePasswordValidation = [
@@ -71,15 +108,80 @@ const changePasswordValidation = [
     .withMessage('New password must contain at least one lowercase letter, one uppercase letter, and one number')
 ];
 
+const refreshValidation = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+];
+
+const emailTokenValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Token is required')
+];
+
+const forgotPasswordValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address')
+];
+
+const resetPasswordValidation = [
+  ...emailTokenValidation,
+
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number')
+];
+
+const twoFactorCodeValidation = [
+  body('code')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Authentication code is required')
+];
+
+const twoFactorLoginValidation = [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+
+  ...twoFactorCodeValidation
+];
+
+const disableTwoFactorValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+
+  ...twoFactorCodeValidation
+];
+
+const sessionIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid session ID')
+];
+
+// Every auth endpoint shares a per-IP limit; sensitive ones have a tighter one too
+router.use(rateLimit('auth'));
+
 // @route   POST /api/auth/register
 // @desc    Register new user
 // @access  Public
-router.post('/register', registerValidation, registerUser);
+router.post('/register', rateLimit('register'), registerValidation, registerUser);
 
 // @route   POST /api/auth/login
 // @desc    Login user
 // @access  Public
-router.post('/login', loginValidation, loginUser);
+router.post('/login', rateLimit('login'), loginValidation, loginUser);
 
 // @route   GET /api/auth/me
 // @desc    Get current user
@@ -89,11 +191,86 @@ router.get('/me', auth, getCurrentUser);
 // @route   PUT /api/auth/profile
 // @desc    Update user profile
 // @access  Private
-router.put('/profile', auth, updateProfileValidation, updateProfile);
+router.put('/profile', auth, rejectApiKey, updateProfileValidation, updateProfile);
 
 // @route   PUT /api/auth/password
 // @desc    Change password
 // @access  Private
-router.put('/password', auth, changePasswordValidation, changePassword);
+router.put('/password', auth, rejectApiKey, changePasswordValidation, changePassword);
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for new tokens (the refresh token rotates)
+// @access  Public
+router.post('/refresh', refreshValidation, refreshSession);
+
+// @route   POST /api/auth/logout
+// @desc    Log out the current session
+// @access  Private
+router.post('/logout', auth, rejectApiKey, logoutUser);
+
+// @route   GET /api/auth/sessions
+// @desc    List logged-in devices
+// @access  Private
+router.get('/sessions', auth, rejectApiKey, listSessions);
+
+// @route   DELETE /api/auth/sessions
+// @desc    Log out every other device
+// @access  Private
+router.delete('/sessions', auth, rejectApiKey, revokeOtherSessions);
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Log out one device
+// @access  Private
+router.delete('/sessions/:id', auth, rejectApiKey, sessionIdValidation, revokeSession);
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address with the emailed token
+// @access  Public
+router.post('/verify-email', rateLimit('authEmail'), emailTokenValidation, verifyEmail);
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new verification email
+// @access  Private
+router.post('/resend-verification', rateLimit('authEmail'), auth, rejectApiKey, resendVerification);
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', rateLimit('authEmail'), forgotPasswordValidation, forgotPassword);
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with an emailed reset token
+// @access  Public
+router.post('/reset-password', rateLimit('authEmail'), resetPasswordValidation, resetPassword);
+
+// @route   POST /api/auth/2fa/verify
+// @desc    Complete a login with a TOTP or backup code
+// @access  Public (challenge token from login)
+router.post('/2fa/verify', rateLimit('login'), twoFactorLoginValidation, verifyTwoFactorLogin);
+
+// @route   GET /api/auth/2fa
+// @desc    Get two-factor authentication status
+// @access  Private
+router.get('/2fa', auth, rejectApiKey, getTwoFactorStatus);
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start two-factor enrolment (otpauth URI and QR code)
+// @access  Private
+router.post('/2fa/setup', auth, rejectApiKey, setupTwoFactor);
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrolment with a code; returns backup codes
+// @access  Private
+router.post('/2fa/enable', auth, rejectApiKey, twoFactorCodeValidation, enableTwoFactor);
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn two-factor authentication off
+// @access  Private
+router.post('/2fa/disable', auth, rejectApiKey, disableTwoFactorValidation, disableTwoFactor);
+
+// @route   POST /api/auth/2fa/backup-codes
+// @desc    Replace the backup codes
+// @access  Private
+router.post('/2fa/backup-codes', auth, rejectApiKey, twoFactorCodeValidation, regenerateBackupCodes);
 
 module.exports = router;
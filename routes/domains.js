@@ -0,0 +1,67 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const {
+  createDomain,
+  listDomains,
+  verifyDomain,
+  updateDomain,
+  deleteDomain
+} = require('../controllers/domainController');
+const { auth, rejectApiKey } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation rules
+const createDomainValidation = [
+  body('hostname')
+    .trim()
+    .isFQDN()
+    .withMessage('Please provide a valid hostname such as links.example.com'),
+
+  body('workspaceId')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid workspace ID')
+];
+
+const updateDomainValidation = [
+  body('isActive')
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
+
+const domainIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid domain ID')
+];
+
+// Domains can only be managed from a logged-in session
+router.use(auth, rejectApiKey);
+
+// @route   POST /api/domains
+// @desc    Register a custom domain (returns the TXT record to publish)
+// @access  Private
+router.post('/', createDomainValidation, createDomain);
+
+// @route   GET /api/domains
+// @desc    List personal and workspace domains
+// @access  Private
+router.get('/', listDomains);
+
+// @route   POST /api/domains/:id/verify
+// @desc    Verify domain ownership through its DNS TXT record
+// @access  Private
+router.post('/:id/verify', domainIdValidation, verifyDomain);
+
+// @route   PUT /api/domains/:id
+// @desc    Enable or disable a domain
+// @access  Private
+router.put('/:id', domainIdValidation, updateDomainValidation, updateDomain);
+
+// @route   DELETE /api/domains/:id
+// @desc    Delete a domain without links
+// @access  Private
+router.delete('/:id', domainIdValidation, deleteDomain);
+
+module.exports = router;
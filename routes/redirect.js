@@ -2,11 +2,14 @@ const express = require('express');
 const { param } = require('express-validator');
 const {
   redirectToOriginal,
+  unlockUrl,
+  continueToDestination,
   getUrlPreview,
   getQRCode,
   bulkUpdateClicks
 } = require('../controllers/redirectController');
-const { auth } = require('../middleware/auth');
+const { auth, requireScope } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
 
 const router = express.Router();
 
@@ -23,23 +26,33 @@ const shortCodeValidation = [
 ];
 
 // @route   GET /:shortCode
-// @desc    Redirect to original URL and track analytics
+// @desc    Redirect to original URL and track analytics (resolved on the request's Host)
 // @access  Public
-router.get('/:shortCode', redirectToOriginal);
+router.get('/:shortCode', rateLimit('redirect'), redirectToOriginal);
+
+// @route   POST /:shortCode/unlock
+// @desc    Submit the password for a protected short URL and redirect
+// @access  Public (failed attempts rate-limited per IP)
+router.post('/:shortCode/unlock', rateLimit('redirect'), shortCodeValidation, unlockUrl);
+
+// @route   GET /:shortCode/continue
+// @desc    Leave an interstitial page: record the click and redirect (?token= from the page)
+// @access  Public
+router.get('/:shortCode/continue', rateLimit('redirect'), shortCodeValidation, continueToDestination);
 
 // @route   GET /api/preview/:shortCode
-// @desc    Get URL info without redirecting (for preview)
+// @desc    Get URL info without redirecting (for preview; ?domain= for custom domain links)
 // @access  Public
-router.get('/api/preview/:shortCode', shortCodeValidation, getUrlPreview);
+router.get('/api/preview/:shortCode', rateLimit('redirect'), shortCodeValidation, getUrlPreview);
 
 // @route   GET /api/qr/:shortCode
-// @desc    Get QR Code for short URL
+// @desc    Get QR Code for short URL (?domain= for custom domain links)
 // @access  Public
-router.get('/api/qr/:shortCode', shortCodeValidation, getQRCode);
+router.get('/api/qr/:shortCode', rateLimit('redirect'), shortCodeValidation, getQRCode);
 
 // @route   POST /api/analytics/bulk-clicks
 // @desc    Bulk update clicks (internal use for high-traffic scenarios)
 // @access  Private
-router.post('/api/analytics/bulk-clicks', auth, bulkUpdateClicks);
+router.post('/api/analytics/bulk-clicks', auth, requireScope('urls:write'), bulkUpdateClicks);
 
 module.exports = router;
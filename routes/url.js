@@ -1,71 +1,39 @@
 const express = require('express');
+const multer = require('multer');
 const { body, query, param } = require('express-validator');
 const {
   createShortUrl,
+  bulkCreateUrls,
   getUserUrls,
+  exportUserUrls,
+  exportUrlClicks,
   getUrlAnalytics,
   updateUrl,
-  deleteUrl
+  deleteUrl,
+  getCampaignAnalytics
 } = require('../controllers/urlController');
-const { auth } = require('../middleware/auth');
+const { auth, requireScope } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { LINK_STATUSES } = require('../utils/linkStatus');
+const {
+  createUrlValidation,
+  utmValidation,
+  rulesValidation,
+  variantsValidation,
+  availabilityValidation,
+  fallbackValidation,
+  interstitialValidation
+} = require('../utils/validation');
 
 const router = express.Router();
 
-// Validation rules
-const createUrlValidation = [
-  body('originalUrl')
-    .trim()
-    .notEmpty()
-    .withMessage('Original URL is required')
-    .isURL({
-      protocols: ['http', 'https'],
-      require_protocol: true
-    })
-    .withMessage('Please provide a valid URL with http:// or https://'),
-
-  body('customCode')
-    .optional()
-    .trim()
-    .isLength({ min: 4, max: 10 })
-    .withMessage('Custom code must be between 4 and 10 characters')
-    .matches(/^[a-zA-Z0-9_-]+$/)
-    .withMessage('Custom code can only contain letters, numbers, hyphens, and underscores'),
-
-  body('title')
-    .optional()
-    .trim()
-    .isLength({ max: 200 })
-    .withMessage('Title cannot exceed 200 characters'),
-
-  body('description')
-    .optional()
-    .trim()
-    .isLength({ max: 500 })
-    .withMessage('Description cannot exceed 500 characters'),
-
-  body('expiryDate')
-    .optional()
-    .isISO8601()
-    .withMessage('Please provide a valid date in ISO 8601 format')
-    .custom((value) => {
-      if (value && new Date(value) <= new Date()) {
-        throw new Error('Expiry date must be in the future');
-      }
-      return true;
-    }),
-
-  body('tags')
-    .optional()
-    .isArray()
-    .withMessage('Tags must be an array'),
-
-  body('tags.*')
-    .optional()
-    .trim()
-    .isLength({ min: 1, max: 50 })
-    .withMessage('Each tag must be between 1 and 50 characters')
-];
+// CSV uploads for bulk import are kept in memory (multipart field "file")
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024, files: 1 }
+});
 
+// Validation rules
 const getUserUrlsValidation = [
   query('page')
     .optional()
@@ -95,7 +63,38 @@ const getUserUrlsValidation = [
   query('maxClicks')
     .optional()
     .isInt({ min: 0 })
-    .withMessage('Maximum clicks must be a non-negative integer')
+    .withMessage('Maximum clicks must be a non-negative integer'),
+
+  query(['search', 'tags'])
+    .optional()
+    .isString()
+    .withMessage('Must be a single value'),
+
+  query('campaign')
+    .optional()
+    .isString()
+    .withMessage('Campaign must be a single value')
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Campaign must be between 1 and 200 characters'),
+
+  query('workspaceId')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid workspace ID'),
+
+  query('status')
+    .optional({ values: 'falsy' })
+    .isIn(LINK_STATUSES)
+    .withMessage(`Status must be one of: ${LINK_STATUSES.join(', ')}`)
+];
+
+const exportFormatValidation = [
+  query('format')
+    .optional()
+    .isIn(['csv', 'ndjson'])
+    .withMessage('Format must be csv or ndjson')
 ];
 
 const updateUrlValidation = [
@@ -155,7 +154,31 @@ const updateUrlValidation = [
   body('isActive')
     .optional()
     .isBoolean()
-    .withMessage('isActive must be a boolean value')
+    .withMessage('isActive must be a boolean value'),
+
+  body('maxClicks')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 1, max: 1000000000 })
+    .withMessage('Click limit must be a positive integer'),
+
+  body('password')
+    .optional({ values: 'null' })
+    .custom((value) => {
+      if (value === '') {
+        return true; // Allow empty to remove password protection
+      }
+      if (typeof value !== 'string' || value.length < 4 || value.length > 100) {
+        throw new Error('Password must be between 4 and 100 characters');
+      }
+      return true;
+    }),
+
+  ...utmValidation,
+  ...rulesValidation,
+  ...variantsValidation,
+  ...availabilityValidation,
+  ...fallbackValidation,
+  ...interstitialValidation
 ];
 
 const mongoIdValidation = [
@@ -167,29 +190,73 @@ const mongoIdValidation = [
 // Apply auth middleware to all routes
 router.use(auth);
 
+// Per-user request limit across the URL API; writes and exports have tighter ones
+router.use(rateLimit('urls'));
+
 // @route   POST /api/urls
 // @desc    Create shortened URL
 // @access  Private
-router.post('/', createUrlValidation, createShortUrl);
+router.post('/', requireScope('urls:write'), rateLimit('urlCreate'), createUrlValidation, createShortUrl);
+
+// @route   POST /api/urls/bulk
+// @desc    Create many shortened URLs from a JSON array, CSV upload or text/csv body
+// @access  Private
+router.post(
+  '/bulk',
+  requireScope('urls:write'),
+  rateLimit('urlBulk'),
+  csvUpload.single('file'),
+  express.text({ type: ['text/csv', 'application/csv'], limit: '5mb' }),
+  bulkCreateUrls
+);
 
 // @route   GET /api/urls
-// @desc    Get user's URLs with analytics
+// @desc    Get user's URLs with analytics (?workspaceId= lists a workspace's links)
+// @access  Private
+router.get('/', requireScope('urls:read'), getUserUrlsValidation, getUserUrls);
+
+// @route   GET /api/urls/export
+// @desc    Stream the user's URLs with stats as CSV or NDJSON (same filters as GET /api/urls)
 // @access  Private
-router.get('/', getUserUrlsValidation, getUserUrls);
+router.get(
+  '/export',
+  requireScope('urls:read'),
+  rateLimit('urlExport'),
+  getUserUrlsValidation,
+  exportFormatValidation,
+  exportUserUrls
+);
+
+// @route   GET /api/urls/campaigns
+// @desc    Get click totals per UTM campaign across the user's URLs
+// @access  Private
+router.get('/campaigns', requireScope('analytics:read'), getCampaignAnalytics);
 
 // @route   GET /api/urls/:id/analytics
 // @desc    Get URL analytics
 // @access  Private
-router.get('/:id/analytics', mongoIdValidation, getUrlAnalytics);
+router.get('/:id/analytics', requireScope('analytics:read'), mongoIdValidation, getUrlAnalytics);
+
+// @route   GET /api/urls/:id/clicks/export
+// @desc    Stream the URL's raw click events as CSV or NDJSON
+// @access  Private
+router.get(
+  '/:id/clicks/export',
+  requireScope('analytics:read'),
+  rateLimit('urlExport'),
+  mongoIdValidation,
+  exportFormatValidation,
+  exportUrlClicks
+);
 
 // @route   PUT /api/urls/:id
 // @desc    Update URL
 // @access  Private
-router.put('/:id', updateUrlValidation, updateUrl);
+router.put('/:id', requireScope('urls:write'), updateUrlValidation, updateUrl);
 
 // @route   DELETE /api/urls/:id
 // @desc    Delete URL
 // @access  Private
-router.delete('/:id', mongoIdValidation, deleteUrl);
+router.delete('/:id', requireScope('urls:write'), mongoIdValidation, deleteUrl);
 
 module.exports = router;
@@ -0,0 +1,151 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+  createWebhook,
+  listWebhooks,
+  updateWebhook,
+  deleteWebhook,
+  rotateWebhookSecret,
+  testWebhook,
+  getWebhookDeliveries,
+  redeliverWebhook
+} = require('../controllers/webhookController');
+const { auth, rejectApiKey } = require('../middleware/auth');
+const Webhook = require('../models/Webhook');
+
+const router = express.Router();
+
+// Validation rules
+const webhookIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid webhook ID')
+];
+
+// Plain http is allowed so local receivers (e.g. http://localhost:4000/hook) can be used for testing
+const targetUrlRule = (chain) => chain
+  .trim()
+  .isURL({
+    protocols: ['http', 'https'],
+    require_protocol: true,
+    require_tld: false
+  })
+  .withMessage('Please provide a valid URL with http:// or https://');
+
+const webhookFieldsValidation = [
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters'),
+
+  body('events.*')
+    .isIn(Webhook.EVENTS)
+    .withMessage(`Events must be one of: ${Webhook.EVENTS.join(', ')}`),
+
+  body('clickEvery')
+    .optional()
+    .isInt({ min: 1, max: 1000000 })
+    .withMessage('clickEvery must be a positive integer')
+    .toInt()
+];
+
+const createWebhookValidation = [
+  targetUrlRule(body('targetUrl').notEmpty().withMessage('Target URL is required')),
+
+  body('events')
+    .isArray({ min: 1 })
+    .withMessage('Events must be a non-empty array'),
+
+  ...webhookFieldsValidation
+];
+
+const updateWebhookValidation = [
+  ...webhookIdValidation,
+
+  targetUrlRule(body('targetUrl').optional()),
+
+  body('events')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Events must be a non-empty array'),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean value'),
+
+  ...webhookFieldsValidation
+];
+
+const deliveriesValidation = [
+  ...webhookIdValidation,
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  query('status')
+    .optional()
+    .isIn(['pending', 'delivering', 'success', 'failed'])
+    .withMessage('Invalid delivery status')
+];
+
+const redeliverValidation = [
+  ...webhookIdValidation,
+
+  param('deliveryId')
+    .isMongoId()
+    .withMessage('Invalid delivery ID')
+];
+
+// Webhooks can only be managed from a logged-in session
+router.use(auth, rejectApiKey);
+
+// @route   POST /api/webhooks
+// @desc    Create webhook subscription (the signing secret is returned once)
+// @access  Private
+router.post('/', createWebhookValidation, createWebhook);
+
+// @route   GET /api/webhooks
+// @desc    List webhook subscriptions
+// @access  Private
+router.get('/', listWebhooks);
+
+// @route   PUT /api/webhooks/:id
+// @desc    Update webhook subscription
+// @access  Private
+router.put('/:id', updateWebhookValidation, updateWebhook);
+
+// @route   DELETE /api/webhooks/:id
+// @desc    Delete webhook subscription
+// @access  Private
+router.delete('/:id', webhookIdValidation, deleteWebhook);
+
+// @route   POST /api/webhooks/:id/rotate-secret
+// @desc    Rotate the signing secret
+// @access  Private
+router.post('/:id/rotate-secret', webhookIdValidation, rotateWebhookSecret);
+
+// @route   POST /api/webhooks/:id/test
+// @desc    Send a signed ping event
+// @access  Private
+router.post('/:id/test', webhookIdValidation, testWebhook);
+
+// @route   GET /api/webhooks/:id/deliveries
+// @desc    Get delivery log
+// @access  Private
+router.get('/:id/deliveries', deliveriesValidation, getWebhookDeliveries);
+
+// @route   POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+// @desc    Re-send a finished delivery
+// @access  Private
+router.post('/:id/deliveries/:deliveryId/redeliver', redeliverValidation, redeliverWebhook);
+
+module.exports = router;
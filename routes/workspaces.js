@@ -0,0 +1,132 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const {
+  createWorkspace,
+  listWorkspaces,
+  getWorkspace,
+  updateWorkspace,
+  deleteWorkspace,
+  createInvitation,
+  listInvitations,
+  revokeInvitation,
+  acceptInvitation,
+  updateMemberRole,
+  removeMember
+} = require('../controllers/workspaceController');
+const { auth, rejectApiKey } = require('../middleware/auth');
+const { requireWorkspaceRole } = require('../middleware/workspace');
+
+const router = express.Router();
+
+// Validation rules
+const nameValidation = body('name')
+  .trim()
+  .isLength({ min: 2, max: 100 })
+  .withMessage('Workspace name must be between 2 and 100 characters');
+
+const invitationValidation = [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail(),
+
+  body('role')
+    .optional()
+    .isIn(['viewer', 'editor', 'admin'])
+    .withMessage('Role must be viewer, editor or admin')
+];
+
+const acceptValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Invitation token is required')
+];
+
+const memberRoleValidation = [
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+
+  body('role')
+    .isIn(['viewer', 'editor', 'admin'])
+    .withMessage('Role must be viewer, editor or admin')
+];
+
+const memberIdValidation = [
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID')
+];
+
+const invitationIdValidation = [
+  param('invitationId')
+    .isMongoId()
+    .withMessage('Invalid invitation ID')
+];
+
+// Workspaces can only be managed from a logged-in session
+router.use(auth, rejectApiKey);
+
+// @route   POST /api/workspaces
+// @desc    Create workspace (the creator becomes its owner)
+// @access  Private
+router.post('/', nameValidation, createWorkspace);
+
+// @route   GET /api/workspaces
+// @desc    List workspaces the user belongs to
+// @access  Private
+router.get('/', listWorkspaces);
+
+// @route   POST /api/workspaces/invitations/accept
+// @desc    Accept an invitation sent to the user's email
+// @access  Private
+router.post('/invitations/accept', acceptValidation, acceptInvitation);
+
+// @route   GET /api/workspaces/:id
+// @desc    Get workspace with members
+// @access  Private (viewer)
+router.get('/:id', requireWorkspaceRole('viewer'), getWorkspace);
+
+// @route   PUT /api/workspaces/:id
+// @desc    Rename workspace
+// @access  Private (admin)
+router.put('/:id', requireWorkspaceRole('admin'), nameValidation, updateWorkspace);
+
+// @route   DELETE /api/workspaces/:id
+// @desc    Delete workspace; its links return to their creators
+// @access  Private (owner)
+router.delete('/:id', requireWorkspaceRole('owner'), deleteWorkspace);
+
+// @route   POST /api/workspaces/:id/invitations
+// @desc    Invite someone by email
+// @access  Private (admin)
+router.post('/:id/invitations', requireWorkspaceRole('admin'), invitationValidation, createInvitation);
+
+// @route   GET /api/workspaces/:id/invitations
+// @desc    List invitations
+// @access  Private (admin)
+router.get('/:id/invitations', requireWorkspaceRole('admin'), listInvitations);
+
+// @route   DELETE /api/workspaces/:id/invitations/:invitationId
+// @desc    Revoke a pending invitation
+// @access  Private (admin)
+router.delete(
+  '/:id/invitations/:invitationId',
+  requireWorkspaceRole('admin'),
+  invitationIdValidation,
+  revokeInvitation
+);
+
+// @route   PUT /api/workspaces/:id/members/:userId
+// @desc    Change a member's role
+// @access  Private (admin)
+router.put('/:id/members/:userId', requireWorkspaceRole('admin'), memberRoleValidation, updateMemberRole);
+
+// @route   DELETE /api/workspaces/:id/members/:userId
+// @desc    Remove a member, or leave the workspace when :userId is yourself
+// @access  Private (viewer for self, admin for others)
+router.delete('/:id/members/:userId', requireWorkspaceRole('viewer'), memberIdValidation, removeMember);
+
+module.exports = router;
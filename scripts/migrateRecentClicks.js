@@ -0,0 +1,88 @@
+// One-off migration: copy the click history embedded in Url.recentClicks
+// (used before click events moved to their own collection) into the clicks
+// collection, then remove the field. Run it once after deploying:
+//
+//   npm run migrate:recent-clicks
+//
+// It is safe to re-run or resume after a failure: each copied click gets an
+// _id derived from its link and position, so clicks that were already copied
+// fail with 11000 and are skipped. Url counters are left alone because they
+// already include these clicks.
+const crypto = require('crypto');
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+
+dotenv.config();
+
+const Url = require('../models/Url');
+const Click = require('../models/Click');
+
+const BATCH_SIZE = 100;
+
+// Stable ObjectId for the n-th embedded click of a link: the click's own
+// timestamp followed by 8 bytes of a hash of the link and position
+const legacyClickId = (urlId, index, timestamp) => {
+  const id = Buffer.alloc(12);
+  id.writeUInt32BE(Math.floor(timestamp.getTime() / 1000) >>> 0, 0);
+  crypto.createHash('sha1').update(`${urlId}:${index}`).digest().copy(id, 4, 0, 8);
+  return new mongoose.Types.ObjectId(id);
+};
+
+const copyRecentClicks = async(url) => {
+  const clickDocs = url.recentClicks.map((recentClick, index) => {
+    const timestamp = recentClick.timestamp ? new Date(recentClick.timestamp) : url.createdAt || new Date(0);
+    return {
+      ...Click.fromClickData(url, {
+        timestamp,
+        ip: recentClick.ip,
+        userAgent: recentClick.userAgent,
+        referer: recentClick.referer
+      }),
+      _id: legacyClickId(url._id, index, timestamp)
+    };
+  });
+
+  try {
+    await Click.insertMany(clickDocs, { ordered: false });
+  } catch (error) {
+    const failed = Array.isArray(error.writeErrors)
+      ? error.writeErrors.filter(writeError => writeError.code !== 11000)
+      : [error];
+    if (failed.length) throw error;
+  }
+
+  // Raw collection: recentClicks is no longer part of the schema
+  await Url.collection.updateOne({ _id: url._id }, { $unset: { recentClicks: '' } });
+  return clickDocs.length;
+};
+
+const migrate = async() => {
+  const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/url-shortener';
+  await mongoose.connect(mongoURI);
+  console.log('🔄 Copying Url.recentClicks into the clicks collection...');
+
+  const cursor = Url.collection.find(
+    { recentClicks: { $exists: true } },
+    { projection: { userId: 1, createdAt: 1, recentClicks: 1 }, batchSize: BATCH_SIZE }
+  );
+
+  let urls = 0;
+  let clicks = 0;
+  for await (const url of cursor) {
+    clicks += await copyRecentClicks({ ...url, recentClicks: url.recentClicks || [] });
+    urls += 1;
+    if (urls % BATCH_SIZE === 0) {
+      console.log(`📊 ${urls} links migrated, ${clicks} clicks copied`);
+    }
+  }
+
+  console.log(`✅ Migrated ${urls} links, ${clicks} clicks copied`);
+};
+
+migrate()
+  .then(() => mongoose.disconnect())
+  .catch(async(error) => {
+    console.error('❌ recentClicks migration failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
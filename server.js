@@ -10,15 +10,38 @@ dotenv.config();
 const authRoutes = require('./routes/auth');
 const urlRoutes = require('./routes/url');
 const redirectRoutes = require('./routes/redirect');
+const apiKeyRoutes = require('./routes/apiKeys');
+const webhookRoutes = require('./routes/webhooks');
+const workspaceRoutes = require('./routes/workspaces');
+const domainRoutes = require('./routes/domains');
+const adminRoutes = require('./routes/admin');
 
 // Import database config
 const connectDB = require('./config/database');
+const clickQueue = require('./utils/clickQueue');
+const urlCache = require('./utils/urlCache');
+const webhooks = require('./utils/webhooks');
 
 const app = express();
 
+// Behind a load balancer or reverse proxy, set TRUST_PROXY (hop count, `true`
+// or a subnet list) so req.ip - used for rate limits and login lockout - is
+// the client's address rather than the proxy's
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy && trustProxy !== 'false') {
+  if (/^\d+$/.test(trustProxy)) {
+    app.set('trust proxy', parseInt(trustProxy, 10));
+  } else {
+    app.set('trust proxy', trustProxy === 'true' ? true : trustProxy);
+  }
+}
+
 // Connect to database
 connectDB();
 
+// Retry pending webhook deliveries and emit url.expired events in the background
+webhooks.start();
+
 // Middleware - CORS configuration for production
 // const allowedOrigins = [
 //   'http://localhost:3000',
@@ -69,6 +92,8 @@ app.get('/api/health', (req, res) => {
       host: mongoose.connection.host || 'unknown',
       name: mongoose.connection.name || 'unknown'
     },
+    cache: urlCache.getStats(),
+    clickQueue: clickQueue.getStats(),
     uptime: process.uptime(),
     memory: process.memoryUsage(),
     version: process.version
@@ -81,6 +106,11 @@ app.get('/api/health', (req, res) => {
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/urls', urlRoutes);
+app.use('/api/keys', apiKeyRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/workspaces', workspaceRoutes);
+app.use('/api/domains', domainRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Redirect routes LAST (catch-all for short codes)
 app.use('/', redirectRoutes);
@@ -0,0 +1,48 @@
+// In-memory tracker for failed attempts (e.g. wrong link passwords) keyed by IP.
+// Each key gets a fixed window; once maxAttempts failures are recorded inside
+// the window the key is blocked until the window resets.
+const createAttemptLimiter = ({ maxAttempts = 5, windowMs = 15 * 60 * 1000 } = {}) => {
+  const attempts = new Map();
+
+  const getEntry = (key) => {
+    const entry = attempts.get(key);
+    if (entry && entry.resetAt <= Date.now()) {
+      attempts.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  // Periodically drop expired entries so the map doesn't grow unbounded
+  const cleanupTimer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of attempts) {
+      if (entry.resetAt <= now) attempts.delete(key);
+    }
+  }, windowMs);
+  cleanupTimer.unref();
+
+  return {
+    // Returns the number of seconds until the key may try again, or 0 if not blocked
+    getRetryAfter(key) {
+      const entry = getEntry(key);
+      if (!entry || entry.count < maxAttempts) return 0;
+      return Math.ceil((entry.resetAt - Date.now()) / 1000);
+    },
+
+    recordFailure(key) {
+      const entry = getEntry(key) || { count: 0, resetAt: Date.now() + windowMs };
+      entry.count += 1;
+      attempts.set(key, entry);
+      return Math.max(0, maxAttempts - entry.count);
+    },
+
+    reset(key) {
+      attempts.delete(key);
+    }
+  };
+};
+
+module.exports = {
+  createAttemptLimiter
+};
@@ -0,0 +1,23 @@
+const AdminAuditLog = require('../models/AdminAuditLog');
+
+// Record an admin action for the audit trail. A failed write is logged but
+// never fails the action itself, which has already been applied.
+const recordAdminAction = async(req, { action, targetType, targetId, details = {} }) => {
+  try {
+    await AdminAuditLog.create({
+      actorId: req.user._id,
+      actorUsername: req.user.username,
+      action,
+      targetType,
+      targetId,
+      details,
+      ip: req.ip || null
+    });
+  } catch (error) {
+    console.error(`❌ Failed to record admin action ${action}:`, error);
+  }
+};
+
+module.exports = {
+  recordAdminAction
+};
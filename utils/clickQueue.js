@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const Url = require('../models/Url');
+
+// In-process buffer for click events so redirects don't wait on MongoDB.
+// Buffered clicks are written through Url.recordClickBatch every
+// CLICK_FLUSH_INTERVAL_MS or as soon as CLICK_FLUSH_BATCH_SIZE are queued.
+const flushIntervalMs = parseInt(process.env.CLICK_FLUSH_INTERVAL_MS, 10) || 1000;
+const flushBatchSize = parseInt(process.env.CLICK_FLUSH_BATCH_SIZE, 10) || 500;
+// Upper bound on buffered clicks if MongoDB is unavailable for a while
+const maxQueueSize = parseInt(process.env.CLICK_QUEUE_MAX_SIZE, 10) || 50000;
+
+let buffer = [];
+let flushTimer = null;
+let currentFlush = Promise.resolve();
+let draining = false;
+
+const stats = {
+  enqueued: 0,
+  flushed: 0,
+  dropped: 0,
+  failedFlushes: 0,
+  lastFlushAt: null
+};
+
+const writeBatch = async(batch) => {
+  try {
+    await Url.recordClickBatch(batch);
+    stats.flushed += batch.length;
+    stats.lastFlushAt = new Date();
+  } catch (error) {
+    // Only the clicks that weren't fully recorded go back; retrying them is
+    // safe because each entry keeps the click id from its first attempt
+    const failed = error.failedClicks || batch;
+    stats.failedFlushes += 1;
+    stats.flushed += batch.length - failed.length;
+    console.error(`❌ Click queue flush failed for ${failed.length} of ${batch.length} clicks:`, error.message);
+
+    // Put them back in front of newer clicks so they are retried next flush
+    buffer = failed.concat(buffer);
+    if (buffer.length > maxQueueSize) {
+      const overflow = buffer.length - maxQueueSize;
+      buffer = buffer.slice(overflow);
+      stats.dropped += overflow;
+      console.error(`⚠️ Click queue full, dropped ${overflow} oldest clicks`);
+    }
+    throw error;
+  }
+};
+
+// Write everything currently buffered. Flushes are serialized so batches
+// never overlap.
+const flush = () => {
+  currentFlush = currentFlush.catch(() => {}).then(async() => {
+    while (buffer.length > 0) {
+      const batch = buffer.splice(0, flushBatchSize);
+      await writeBatch(batch);
+    }
+  });
+  return currentFlush;
+};
+
+const ensureTimer = () => {
+  if (flushTimer || draining) return;
+  flushTimer = setInterval(() => {
+    flush().catch(() => {});
+  }, flushIntervalMs);
+  flushTimer.unref();
+};
+
+// Queue a click for a URL (any object with _id and userId, lean or document)
+const enqueue = (url, clickData = {}) => {
+  buffer.push({
+    url: { _id: url._id, userId: url.userId },
+    clickData: { timestamp: new Date(), ...clickData },
+    clickId: new mongoose.Types.ObjectId()
+  });
+  stats.enqueued += 1;
+
+  if (buffer.length > maxQueueSize) {
+    buffer.shift();
+    stats.dropped += 1;
+  }
+
+  if (buffer.length >= flushBatchSize) {
+    flush().catch(() => {});
+  }
+  ensureTimer();
+};
+
+// Stop the timer and write out whatever is left (used on shutdown)
+const drain = async() => {
+  draining = true;
+  if (flushTimer) {
+    clearInterval(flushTimer);
+    flushTimer = null;
+  }
+  if (buffer.length > 0) {
+    console.log(`📊 Draining ${buffer.length} queued clicks...`);
+  }
+  await flush();
+};
+
+const getStats = () => ({
+  ...stats,
+  pending: buffer.length,
+  flushIntervalMs,
+  flushBatchSize
+});
+
+module.exports = {
+  enqueue,
+  flush,
+  drain,
+  getStats
+};
@@ -0,0 +1,33 @@
+// Minimal Cookie header parsing (the app doesn't use cookie-parser)
+const parseCookies = (header) => {
+  const cookies = {};
+  if (!header) return cookies;
+
+  header.split(';').forEach(pair => {
+    const index = pair.indexOf('=');
+    if (index < 0) return;
+
+    const name = pair.substring(0, index).trim();
+    let value = pair.substring(index + 1).trim();
+    if (value.startsWith('"') && value.endsWith('"')) {
+      value = value.slice(1, -1);
+    }
+
+    if (name && cookies[name] === undefined) {
+      try {
+        cookies[name] = decodeURIComponent(value);
+      } catch {
+        cookies[name] = value;
+      }
+    }
+  });
+
+  return cookies;
+};
+
+const getCookie = (req, name) => parseCookies(req.headers.cookie)[name];
+
+module.exports = {
+  parseCookies,
+  getCookie
+};
@@ -0,0 +1,25 @@
+// Minimal CSV writer for exports (RFC 4180 quoting)
+
+// Cells starting with these characters are treated as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+const toCsvRow = (values) => values.map(escapeCsvValue).join(',') + '\r\n';
+
+module.exports = {
+  escapeCsvValue,
+  toCsvRow
+};
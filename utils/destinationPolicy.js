@@ -0,0 +1,166 @@
+const net = require('net');
+const Url = require('../models/Url');
+const DomainPolicy = require('../models/DomainPolicy');
+const LinkReview = require('../models/LinkReview');
+const threatList = require('./threatList');
+const { isPrivateHost } = require('./privateAddress');
+const domains = require('./domains');
+const urlCache = require('./urlCache');
+
+// Destination policy applied when links are created or updated and re-checked
+// on every redirect:
+//   - private, loopback and link-local addresses are always refused
+//   - allowlisted domains skip the remaining checks
+//   - blocklisted domains (DomainPolicy), known URL shorteners (including our
+//     own domains, which would create redirect chains) and hosts on the local
+//     threat list are refused
+// With DESTINATION_ALLOWLIST_ONLY=true only allowlisted domains are accepted.
+const DEFAULT_SHORTENER_DOMAINS = [
+  'bit.ly', 'bitly.com', 'buff.ly', 'cutt.ly', 'goo.gl', 'is.gd', 'ow.ly', 'rb.gy', 'rebrand.ly',
+  's.id', 'shorturl.at', 't.co', 't.ly', 'tiny.cc', 'tinyurl.com', 'v.gd', 'lnkd.in', 'bl.ink'
+];
+
+const SHORTENER_DOMAINS = new Set([
+  ...DEFAULT_SHORTENER_DOMAINS,
+  ...(process.env.SHORTENER_DOMAINS || '').split(',').map(domains.normalizeHostname).filter(Boolean)
+]);
+
+const LISTS_TTL_MS = parseInt(process.env.DOMAIN_POLICY_TTL_MS, 10) || 30 * 1000;
+
+// Blocklist/allowlist hostnames, cached in-process and reloaded after
+// LISTS_TTL_MS or as soon as an admin changes them on this instance
+let lists = null;
+let listsLoadedAt = 0;
+let pendingLoad = null;
+
+const loadLists = async() => {
+  if (lists && Date.now() - listsLoadedAt < LISTS_TTL_MS) return lists;
+
+  if (!pendingLoad) {
+    pendingLoad = DomainPolicy.find().select('hostname list').lean()
+      .then(entries => {
+        lists = { blocklist: new Set(), allowlist: new Set() };
+        entries.forEach(entry => lists[entry.list].add(entry.hostname));
+        listsLoadedAt = Date.now();
+        return lists;
+      })
+      .finally(() => {
+        pendingLoad = null;
+      });
+  }
+  return pendingLoad;
+};
+
+const invalidateLists = () => {
+  listsLoadedAt = 0;
+};
+
+// Whether the hostname or one of its parent domains is in the set
+const matchesDomain = (set, hostname) => {
+  if (net.isIP(hostname)) return set.has(hostname);
+  const labels = hostname.split('.');
+  return labels.some((label, index) => set.has(labels.slice(index).join('.')));
+};
+
+const isTruthyEnv = (value) => ['true', '1', 'yes'].includes(String(value || '').toLowerCase());
+
+// Reasons a single destination is refused; an empty array means it passes
+const checkDestination = async(destination) => {
+  let parsed;
+  try {
+    parsed = new URL(destination);
+  } catch {
+    return [{ code: 'invalid_url', message: 'Destination is not a valid URL', destination }];
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return [{ code: 'invalid_url', message: 'Destination must be an http(s) URL', destination }];
+  }
+
+  // IPv6 hosts come bracketed from the URL parser
+  const hostname = domains.normalizeHostname(parsed.hostname.replace(/^\[|\]$/g, ''));
+  const reason = (code, message) => ({ code, message, destination });
+
+  if (isPrivateHost(hostname)) {
+    return [reason('private_address', `${hostname} is a private or loopback address`)];
+  }
+
+  const { blocklist, allowlist } = await loadLists();
+  if (matchesDomain(allowlist, hostname)) return [];
+
+  if (isTruthyEnv(process.env.DESTINATION_ALLOWLIST_ONLY)) {
+    return [reason('not_allowlisted', `${hostname} is not on the destination allowlist`)];
+  }
+
+  if (matchesDomain(blocklist, hostname)) {
+    return [reason('blocklisted', `${hostname} is blocked`)];
+  }
+
+  if (matchesDomain(SHORTENER_DOMAINS, hostname) || await domains.isServedHostname(hostname)) {
+    return [reason('shortener_chain', `${hostname} is a URL shortener; link to the final destination instead`)];
+  }
+
+  if (await threatList.isListed(hostname)) {
+    return [reason('threat_list', `${hostname} is listed as a known threat`)];
+  }
+
+  return [];
+};
+
+// Every URL a link can send visitors to
+const getLinkDestinations = (url) => {
+  const destinations = [
+    url.originalUrl,
+    ...(url.rules || []).map(rule => rule.destination),
+    ...(url.variants || []).map(variant => variant.destination),
+    url.unavailableUrl,
+    url.fallbackUrl
+  ];
+  return [...new Set(destinations.filter(Boolean))];
+};
+
+// Returns { allowed, reasons } for a list of destination URLs
+const evaluateDestinations = async(destinations) => {
+  const reasons = (await Promise.all(destinations.map(checkDestination))).flat();
+  return { allowed: reasons.length === 0, reasons };
+};
+
+const evaluateLink = (url) => evaluateDestinations(getLinkDestinations(url));
+
+// Single error message for a 400 response
+const describeRejection = (reasons) => {
+  return `Destination not allowed: ${reasons.map(reason => reason.message).join('; ')}`;
+};
+
+// Flag a link that fails the policy after creation and queue it for review.
+// Only the first concurrent caller flags it. Returns true if it was flagged now.
+const flagLink = async(url, reasons) => {
+  const result = await Url.updateOne(
+    { _id: url._id, policyStatus: 'clear' },
+    { $set: { policyStatus: 'flagged' } }
+  );
+  if (result.modifiedCount === 0) return false;
+
+  urlCache.invalidate(url.shortCode, url.domain);
+
+  await LinkReview.create({
+    urlId: url._id,
+    userId: url.userId,
+    shortCode: url.shortCode,
+    domain: url.domain || null,
+    reasons
+  });
+
+  console.log(`🚩 Flagged ${url.shortCode} for review: ${reasons.map(reason => reason.code).join(', ')}`);
+  return true;
+};
+
+module.exports = {
+  checkDestination,
+  getLinkDestinations,
+  evaluateDestinations,
+  evaluateLink,
+  describeRejection,
+  flagLink,
+  invalidateLists
+};
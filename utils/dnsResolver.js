@@ -0,0 +1,32 @@
+const dns = require('dns').promises;
+
+// TXT lookups used by custom domain verification. The resolver is pluggable
+// so tests and local setups can answer without real DNS:
+//   dnsResolver.setResolver(async(name) => [['shorturl-verify=abc']]);
+const defaultResolver = (name) => dns.resolveTxt(name);
+
+let resolver = defaultResolver;
+
+// Replace the resolver; call with no argument to restore the system one
+const setResolver = (fn) => {
+  resolver = typeof fn === 'function' ? fn : defaultResolver;
+};
+
+// Resolve TXT records as plain strings. Missing records resolve to [].
+const resolveTxt = async(name) => {
+  try {
+    const records = await resolver(name);
+    // dns.resolveTxt returns each record as an array of chunks
+    return (records || []).map(record => (Array.isArray(record) ? record.join('') : String(record)));
+  } catch (error) {
+    if (['ENOTFOUND', 'ENODATA', 'ESERVFAIL', 'NXDOMAIN'].includes(error.code)) {
+      return [];
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  setResolver,
+  resolveTxt
+};
@@ -0,0 +1,106 @@
+const Domain = require('../models/Domain');
+const dnsResolver = require('./dnsResolver');
+const { createLruCache } = require('./lruCache');
+
+// Hostname -> verified custom domain (or null) for requests on the redirect path
+const cache = createLruCache({
+  maxSize: parseInt(process.env.DOMAIN_CACHE_MAX_SIZE, 10) || 1000,
+  ttlMs: parseInt(process.env.DOMAIN_CACHE_TTL_MS, 10) || 60 * 1000
+});
+
+const normalizeHostname = (hostname) => String(hostname || '').trim().toLowerCase().replace(/\.$/, '');
+
+// Hostname of BASE_URL, which serves links without a custom domain
+const getDefaultHostname = () => {
+  try {
+    return new URL(process.env.BASE_URL || 'http://localhost:5001').hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+};
+
+// Verified, active custom domain for a hostname, or null
+const lookupServedDomain = async(hostname) => {
+  const cached = cache.get(hostname);
+  if (cached !== undefined) return cached;
+
+  const domain = await Domain.findOne({
+    hostname,
+    isActive: true,
+    verifiedAt: { $ne: null }
+  }).select('hostname').lean();
+
+  const result = domain ? domain.hostname : null;
+  cache.set(hostname, result);
+  return result;
+};
+
+// Whether short links are served on this hostname (BASE_URL or a custom domain)
+const isServedHostname = async(hostname) => {
+  const normalized = normalizeHostname(hostname);
+  if (!normalized) return false;
+  if (normalized === getDefaultHostname()) return true;
+  return Boolean(await lookupServedDomain(normalized));
+};
+
+// Custom domain a request arrived on, or null for the default domain.
+// Unknown and unverified hosts fall back to the default domain.
+const resolveRequestDomain = async(req) => {
+  const hostname = normalizeHostname(req.hostname);
+  if (!hostname || hostname === getDefaultHostname()) {
+    return null;
+  }
+
+  return lookupServedDomain(hostname);
+};
+
+// Owner of a custom domain, used for their account-wide "not found" fallback
+const getDomainOwner = async(hostname) => {
+  if (!hostname) return null;
+  const domain = await Domain.findOne({ hostname, verifiedAt: { $ne: null } }).select('userId').lean();
+  return domain ? domain.userId : null;
+};
+
+const invalidate = (hostname) => {
+  if (hostname) cache.delete(normalizeHostname(hostname));
+};
+
+// Check the domain's TXT record and mark it verified on a match. A domain
+// stays verified if a later check fails, so a DNS hiccup never breaks links.
+const verifyDomain = async(domain) => {
+  const record = domain.getVerificationRecord();
+  const values = await dnsResolver.resolveTxt(record.name);
+  const verified = values.some(value => value.trim() === record.value);
+
+  domain.lastCheckedAt = new Date();
+  if (verified && !domain.verifiedAt) {
+    domain.verifiedAt = new Date();
+  }
+  await domain.save();
+
+  // Publishing the record proves ownership; other accounts' pending claims
+  // on the hostname are stale
+  if (verified) {
+    const { deletedCount } = await Domain.deleteMany({
+      hostname: domain.hostname,
+      _id: { $ne: domain._id },
+      verifiedAt: null
+    });
+    if (deletedCount > 0) {
+      console.log(`🌐 Removed ${deletedCount} unverified claim(s) on ${domain.hostname}`);
+    }
+  }
+
+  invalidate(domain.hostname);
+  return verified;
+};
+
+module.exports = {
+  normalizeHostname,
+  getDefaultHostname,
+  resolveRequestDomain,
+  isServedHostname,
+  getDomainOwner,
+  invalidate,
+  verifyDomain
+};
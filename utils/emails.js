@@ -0,0 +1,59 @@
+const { escapeHtml } = require('./pages');
+const { sendMail } = require('./mailer');
+
+// Links in emails point at the web app, which posts the token back to the API
+const appUrl = (pathname, token) => {
+  const base = (process.env.CLIENT_URL || process.env.BASE_URL || 'http://localhost:5001').replace(/\/+$/, '');
+  return `${base}${pathname}?token=${encodeURIComponent(token)}`;
+};
+
+const renderHtml = (paragraphs, link) => `<!DOCTYPE html>
+<html><body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; color: #1f2937;">
+${paragraphs.map(text => `<p>${escapeHtml(text)}</p>`).join('\n')}
+<p><a href="${escapeHtml(link.url)}">${escapeHtml(link.label)}</a></p>
+</body></html>`;
+
+const sendVerificationEmail = (user, token, ttlHours) => {
+  const url = appUrl('/verify-email', token);
+  const intro = `Hi ${user.username}, please confirm your email address to finish setting up your account.`;
+  const expiry = `This link expires in ${ttlHours} hours.`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: `${intro}\n\n${url}\n\n${expiry}`,
+    html: renderHtml([intro, expiry], { url, label: 'Confirm email address' })
+  });
+};
+
+const sendPasswordResetEmail = (user, token, ttlMinutes) => {
+  const url = appUrl('/reset-password', token);
+  const intro = `Hi ${user.username}, we received a request to reset your password.`;
+  const expiry = `This link expires in ${ttlMinutes} minutes. ` +
+    'If you didn\'t ask for a reset, you can ignore this email.';
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `${intro}\n\n${url}\n\n${expiry}`,
+    html: renderHtml([intro, expiry], { url, label: 'Reset password' })
+  });
+};
+
+const sendPasswordChangedEmail = (user) => {
+  const text = `Hi ${user.username}, the password for your account was just reset and all devices were signed out. ` +
+    'If this wasn\'t you, reset your password again and contact support.';
+
+  return sendMail({
+    to: user.email,
+    subject: 'Your password was reset',
+    text,
+    html: `<!DOCTYPE html>\n<html><body><p>${escapeHtml(text)}</p></body></html>`
+  });
+};
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail
+};
@@ -0,0 +1,57 @@
+const User = require('../models/User');
+const { createLruCache } = require('./lruCache');
+
+// Default browser page for each reason a short link can't redirect
+const FALLBACK_PAGES = {
+  expired: { title: 'Link expired', message: 'This short URL has expired' },
+  inactive: { title: 'Link unavailable', message: 'This short URL has been deactivated' },
+  notFound: { title: 'Link not found', message: 'This short URL does not exist' }
+};
+
+// Account fallbacks are read on error paths only, but a dead viral link can still get a lot of traffic
+const accountCache = createLruCache({ maxSize: 5000, ttlMs: 60 * 1000 });
+
+const getAccountFallbacks = async(userId) => {
+  const key = String(userId);
+  const cached = accountCache.get(key);
+  if (cached !== undefined) return cached;
+
+  const user = await User.findById(userId).select('linkFallbacks').lean();
+  const fallbacks = user?.linkFallbacks || null;
+  accountCache.set(key, fallbacks);
+  return fallbacks;
+};
+
+const invalidateAccount = (userId) => {
+  if (userId) accountCache.delete(String(userId));
+};
+
+const hasFallback = (fallback) => Boolean(fallback && (fallback.url || fallback.message));
+
+// Resolve the fallback for `reason` ('expired', 'inactive' or 'notFound'): the
+// link's own fallback, then its owner's account-wide one, then
+// NOT_FOUND_FALLBACK_URL for unknown codes. Returns { url, message } or null.
+const resolveFallback = async(reason, { url = null, ownerId = null } = {}) => {
+  if (url && hasFallback({ url: url.fallbackUrl, message: url.fallbackMessage })) {
+    return { url: url.fallbackUrl || null, message: url.fallbackMessage || null };
+  }
+
+  if (ownerId) {
+    const accountFallback = (await getAccountFallbacks(ownerId))?.[reason];
+    if (hasFallback(accountFallback)) {
+      return { url: accountFallback.url || null, message: accountFallback.message || null };
+    }
+  }
+
+  if (reason === 'notFound' && process.env.NOT_FOUND_FALLBACK_URL) {
+    return { url: process.env.NOT_FOUND_FALLBACK_URL, message: null };
+  }
+
+  return null;
+};
+
+module.exports = {
+  FALLBACK_PAGES,
+  resolveFallback,
+  invalidateAccount
+};
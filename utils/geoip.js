@@ -0,0 +1,44 @@
+const fs = require('fs');
+const { Reader } = require('maxmind');
+
+// Country lookups against a local MaxMind-format database
+// (e.g. GeoLite2-Country.mmdb) at GEOIP_DB_PATH. No network lookups are made;
+// without a database every lookup returns null.
+let reader = null;
+let loadAttempted = false;
+
+const loadReader = () => {
+  if (loadAttempted) return reader;
+  loadAttempted = true;
+
+  const dbPath = process.env.GEOIP_DB_PATH;
+  if (!dbPath) return null;
+
+  try {
+    reader = new Reader(fs.readFileSync(dbPath));
+    console.log(`🌍 GeoIP database loaded from ${dbPath}`);
+  } catch (error) {
+    console.error(`❌ Failed to load GeoIP database from ${dbPath}:`, error.message);
+    reader = null;
+  }
+  return reader;
+};
+
+// Returns the ISO 3166-1 alpha-2 country code for an IP, or null
+const lookupCountry = (ip) => {
+  if (!ip || !loadReader()) return null;
+
+  // Express reports IPv4 clients as IPv4-mapped IPv6 addresses
+  const address = ip.startsWith('::ffff:') ? ip.substring(7) : ip;
+
+  try {
+    const record = reader.get(address);
+    return record?.country?.iso_code || record?.registered_country?.iso_code || null;
+  } catch {
+    return null;
+  }
+};
+
+module.exports = {
+  lookupCountry
+};
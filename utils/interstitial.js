@@ -0,0 +1,35 @@
+const jwt = require('jsonwebtoken');
+
+// Interstitial links redirect from GET /:shortCode/continue. The page hands the
+// visitor a short-lived signed token so the click is only counted once they
+// have seen it (and, for password protected links, unlocked it).
+const TOKEN_PURPOSE = 'interstitial';
+const TOKEN_TTL = process.env.INTERSTITIAL_TOKEN_TTL || '15m';
+
+const getSecret = () => process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
+
+const createContinueToken = (url) => {
+  return jwt.sign({ urlId: String(url._id), purpose: TOKEN_PURPOSE }, getSecret(), { expiresIn: TOKEN_TTL });
+};
+
+// True when the token was issued for this link and hasn't expired
+const verifyContinueToken = (token, url) => {
+  if (typeof token !== 'string' || !token) return false;
+
+  try {
+    const payload = jwt.verify(token, getSecret());
+    return payload.purpose === TOKEN_PURPOSE && payload.urlId === String(url._id);
+  } catch {
+    return false;
+  }
+};
+
+const buildContinueUrl = (url) => {
+  return `/${encodeURIComponent(url.shortCode)}/continue?token=${encodeURIComponent(createContinueToken(url))}`;
+};
+
+module.exports = {
+  createContinueToken,
+  verifyContinueToken,
+  buildContinueUrl
+};
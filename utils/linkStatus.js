@@ -0,0 +1,60 @@
+const { isWithinTimeWindow } = require('./timeWindow');
+
+// Lifecycle statuses, checked in this order of precedence
+const LINK_STATUSES = ['disabled', 'paused', 'expired', 'exhausted', 'scheduled', 'active'];
+
+// Computed status of a Url (document or lean object)
+const getLinkStatus = (url, now = new Date()) => {
+  if (url.adminDisabledAt) return 'disabled';
+  if (!url.isActive) return 'paused';
+  if (url.expiryDate && new Date(url.expiryDate) <= now) return 'expired';
+  if (url.maxClicks && (url.usedClicks || 0) >= url.maxClicks) return 'exhausted';
+  if (url.activatesAt && new Date(url.activatesAt) > now) return 'scheduled';
+  return 'active';
+};
+
+// Whether an active link is inside one of its recurring availability windows
+const isWithinAvailability = (url, now = new Date()) => {
+  const windows = url.availabilityWindows || [];
+  return windows.length === 0 || windows.some(window => isWithinTimeWindow(window, now));
+};
+
+// Mongo filter matching links in a computed status
+const buildStatusFilter = (status, now = new Date()) => {
+  const notExpired = { $or: [{ expiryDate: null }, { expiryDate: { $gt: now } }] };
+  const exhausted = { maxClicks: { $ne: null }, $expr: { $gte: ['$usedClicks', '$maxClicks'] } };
+  const notExhausted = {
+    $or: [{ maxClicks: null }, { $expr: { $lt: ['$usedClicks', '$maxClicks'] } }]
+  };
+
+  switch (status) {
+    case 'disabled':
+      return { adminDisabledAt: { $ne: null } };
+    case 'paused':
+      return { adminDisabledAt: null, isActive: false };
+    case 'expired':
+      return { adminDisabledAt: null, isActive: true, expiryDate: { $lte: now } };
+    case 'exhausted':
+      return { adminDisabledAt: null, isActive: true, $and: [notExpired, exhausted] };
+    case 'scheduled':
+      return {
+        adminDisabledAt: null,
+        isActive: true,
+        activatesAt: { $gt: now },
+        $and: [notExpired, notExhausted]
+      };
+    default:
+      return {
+        adminDisabledAt: null,
+        isActive: true,
+        $and: [notExpired, notExhausted, { $or: [{ activatesAt: null }, { activatesAt: { $lte: now } }] }]
+      };
+  }
+};
+
+module.exports = {
+  LINK_STATUSES,
+  getLinkStatus,
+  isWithinAvailability,
+  buildStatusFilter
+};
@@ -0,0 +1,123 @@
+const User = require('../models/User');
+const LoginAttempt = require('../models/LoginAttempt');
+
+// Brute-force protection for password logins. Failures are counted per
+// identifier (email/username as typed) and per IP. After a few free attempts
+// each further failure makes the key wait twice as long before the next try
+// (2s, 4s, 8s, ...), and at the limit the key is locked for
+// LOGIN_LOCKOUT_MINUTES. Failures against an existing account are also
+// recorded on the User with the identifier limits, so switching between email
+// and username doesn't help. A successful login clears the identifier and
+// account counters; the IP counter only runs out, so one good account can't
+// reset it.
+const WINDOW_MS = (parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES, 10) || 15) * 60 * 1000;
+const LOCKOUT_MS = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15) * 60 * 1000;
+const MAX_DELAY_MS = 60 * 1000;
+
+const POLICIES = {
+  identifier: {
+    freeAttempts: 2,
+    maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5
+  },
+  ip: {
+    freeAttempts: 10,
+    maxAttempts: parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS, 10) || 25
+  }
+};
+
+const getKeys = ({ identifier, ip }) => {
+  const keys = [{ key: `identifier:${String(identifier).trim().toLowerCase()}`, policy: POLICIES.identifier }];
+  if (ip) keys.push({ key: `ip:${ip}`, policy: POLICIES.ip });
+  return keys;
+};
+
+// When the key may try again after `failures` failures; null if right away
+const getLockedUntil = (failures, policy, now) => {
+  if (failures >= policy.maxAttempts) return new Date(now + LOCKOUT_MS);
+  if (failures <= policy.freeAttempts) return null;
+  const delay = Math.min(1000 * 2 ** (failures - policy.freeAttempts), MAX_DELAY_MS);
+  return new Date(now + delay);
+};
+
+const toBlock = (lockedUntil, failures, policy) => ({
+  lockedUntil,
+  retryAfter: Math.max(1, Math.ceil((lockedUntil.getTime() - Date.now()) / 1000)),
+  locked: failures >= policy.maxAttempts
+});
+
+const longestBlock = (blocks) => {
+  return blocks.filter(Boolean).reduce((longest, block) => {
+    return !longest || block.lockedUntil > longest.lockedUntil ? block : longest;
+  }, null);
+};
+
+// Returns { lockedUntil, retryAfter, locked } for the longest active block,
+// or null when the login may proceed. `locked` distinguishes a lockout from
+// a progressive delay. `attempt` is { identifier, ip }; `user` may be null.
+const check = async(attempt, user) => {
+  const keys = getKeys(attempt);
+  const entries = await LoginAttempt.find({
+    key: { $in: keys.map(entry => entry.key) },
+    lockedUntil: { $gt: new Date() }
+  }).lean();
+
+  const blocks = entries.map(entry => {
+    const { policy } = keys.find(candidate => candidate.key === entry.key);
+    return toBlock(entry.lockedUntil, entry.failures, policy);
+  });
+
+  if (user?.lockedUntil > new Date()) {
+    blocks.push(toBlock(user.lockedUntil, user.failedLoginAttempts, POLICIES.identifier));
+  }
+
+  return longestBlock(blocks);
+};
+
+// Count a failed login against the identifier, the IP and (if it exists) the
+// account. Returns the resulting block as check() does, or null.
+const recordFailure = async(attempt, user) => {
+  const now = Date.now();
+  const blocks = [];
+
+  for (const { key, policy } of getKeys(attempt)) {
+    const entry = await LoginAttempt.recordFailure(key, { windowMs: WINDOW_MS });
+    const lockedUntil = getLockedUntil(entry.failures, policy, now);
+    if (!lockedUntil) continue;
+
+    await LoginAttempt.lock(key, lockedUntil);
+    blocks.push(toBlock(lockedUntil, entry.failures, policy));
+    if (entry.failures >= policy.maxAttempts) {
+      console.log(`🔒 Login locked for ${key} until ${lockedUntil.toISOString()}`);
+    }
+  }
+
+  if (user) {
+    const failures = await user.recordFailedLogin(WINDOW_MS);
+    const lockedUntil = getLockedUntil(failures, POLICIES.identifier, now);
+    if (lockedUntil) {
+      await User.updateOne({ _id: user._id }, { $set: { lockedUntil } });
+      blocks.push(toBlock(lockedUntil, failures, POLICIES.identifier));
+    }
+  }
+
+  return longestBlock(blocks);
+};
+
+// Forget the identifier's and account's failures after a successful login
+const recordSuccess = async(attempt, user) => {
+  await LoginAttempt.deleteOne({ key: getKeys({ identifier: attempt.identifier })[0].key });
+  if (user.failedLoginAttempts || user.lockedUntil) {
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { failedLoginAttempts: 0, lastFailedLoginAt: null, lockedUntil: null } }
+    );
+    user.failedLoginAttempts = 0;
+    user.lockedUntil = null;
+  }
+};
+
+module.exports = {
+  check,
+  recordFailure,
+  recordSuccess
+};
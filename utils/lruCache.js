@@ -0,0 +1,63 @@
+// Bounded LRU cache with per-entry TTL. Relies on Map preserving insertion
+// order: the first key is always the least recently used one.
+const createLruCache = ({ maxSize = 1000, ttlMs = 60 * 1000 } = {}) => {
+  const entries = new Map();
+  const stats = { hits: 0, misses: 0, evictions: 0 };
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) {
+        stats.misses += 1;
+        return undefined;
+      }
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        stats.misses += 1;
+        return undefined;
+      }
+      // Move to the most recently used position
+      entries.delete(key);
+      entries.set(key, entry);
+      stats.hits += 1;
+      return entry.value;
+    },
+
+    // `entryTtlMs` can shorten (never extend) the default TTL for one entry
+    set(key, value, entryTtlMs = ttlMs) {
+      const ttl = Math.min(ttlMs, entryTtlMs);
+      if (ttl <= 0) return;
+
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttl });
+
+      while (entries.size > maxSize) {
+        entries.delete(entries.keys().next().value);
+        stats.evictions += 1;
+      }
+    },
+
+    delete(key) {
+      return entries.delete(key);
+    },
+
+    clear() {
+      entries.clear();
+    },
+
+    getStats() {
+      const lookups = stats.hits + stats.misses;
+      return {
+        ...stats,
+        size: entries.size,
+        maxSize,
+        ttlMs,
+        hitRate: lookups ? Math.round((stats.hits / lookups) * 10000) / 100 : 0
+      };
+    }
+  };
+};
+
+module.exports = {
+  createLruCache
+};
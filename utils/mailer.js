@@ -0,0 +1,57 @@
+const fs = require('fs');
+const path = require('path');
+
+// Outgoing mail. The transport is chosen with MAIL_TRANSPORT:
+//   console (default) - print messages to the log, for development
+//   file              - write each message as a JSON file to MAIL_FILE_DIR
+// Production deployments plug in a real transport (SMTP, an email API, ...):
+//   mailer.setTransport(async({ to, subject, text, html }) => { ... });
+const MAIL_FROM = process.env.MAIL_FROM || 'URL Shortener <no-reply@localhost>';
+
+const consoleTransport = async(message) => {
+  console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+};
+
+const fileTransport = async(message) => {
+  const dir = process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'mail');
+  await fs.promises.mkdir(dir, { recursive: true });
+
+  const safeTo = message.to.replace(/[^a-z0-9@._-]/gi, '_');
+  const filePath = path.join(dir, `${Date.now()}-${safeTo}.json`);
+  await fs.promises.writeFile(filePath, JSON.stringify(message, null, 2));
+  console.log(`📧 Mail to ${message.to} written to ${filePath}`);
+};
+
+const TRANSPORTS = {
+  console: consoleTransport,
+  file: fileTransport
+};
+
+const defaultTransport = (message) => {
+  const transport = TRANSPORTS[process.env.MAIL_TRANSPORT] || consoleTransport;
+  return transport(message);
+};
+
+let transport = defaultTransport;
+
+// Replace the transport; call with no argument to restore MAIL_TRANSPORT
+const setTransport = (fn) => {
+  transport = typeof fn === 'function' ? fn : defaultTransport;
+};
+
+// Send a message; resolves to true if the transport accepted it. Failures are
+// logged rather than thrown so a mail outage doesn't fail the request.
+const sendMail = async({ to, subject, text, html }) => {
+  try {
+    await transport({ from: MAIL_FROM, to, subject, text, html: html || null });
+    return true;
+  } catch (error) {
+    console.error(`❌ Failed to send mail to ${to}:`, error.message);
+    return false;
+  }
+};
+
+module.exports = {
+  setTransport,
+  sendMail
+};
@@ -0,0 +1,89 @@
+// Minimal server-rendered HTML pages for browser visitors of short links
+
+const escapeHtml = (value) => {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+const renderLayout = (title, body, head = '') => {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>${escapeHtml(title)}</title>
+${head}  <style>
+    body { font-family: system-ui, sans-serif; background: #f5f5f7; margin: 0; }
+    main { max-width: 420px; margin: 10vh auto; background: #fff; padding: 2rem; border-radius: 8px; }
+    input, button { font-size: 1rem; padding: 0.5rem; width: 100%; box-sizing: border-box; margin-top: 0.5rem; }
+    .error { color: #b00020; }
+    .button { display: block; text-align: center; background: #1a73e8; color: #fff; padding: 0.5rem;
+      border-radius: 4px; text-decoration: none; margin-top: 0.5rem; }
+  </style>
+</head>
+<body>
+  <main>
+${body}
+  </main>
+</body>
+</html>`;
+};
+
+const renderPasswordPage = ({ shortCode, title, error }) => {
+  return renderLayout('Password required', `    <h1>Password required</h1>
+    <p>${escapeHtml(title || 'This link')} is password protected.</p>
+    ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+    <form method="POST" action="/${encodeURIComponent(shortCode)}/unlock">
+      <input type="password" name="password" placeholder="Password" autofocus required>
+      <button type="submit">Continue</button>
+    </form>`);
+};
+
+// Plain informational page, e.g. for links that are not available yet
+const renderMessagePage = ({ title, message }) => {
+  return renderLayout(title, `    <h1>${escapeHtml(title)}</h1>
+    <p>${escapeHtml(message)}</p>`);
+};
+
+// "You are leaving" page for interstitial links. Continues to continueUrl after
+// countdownSeconds (meta refresh, so it works without JavaScript) or on click;
+// a countdown of 0 waits for the click.
+const renderInterstitialPage = ({ title, description, destinationHost, continueUrl, countdownSeconds }) => {
+  const head = countdownSeconds > 0
+    ? `  <meta http-equiv="refresh" content="${countdownSeconds};url=${escapeHtml(continueUrl)}">\n`
+    : '';
+  const countdown = countdownSeconds > 0
+    ? `<p>Continuing in <span id="countdown">${countdownSeconds}</span> seconds…</p>
+    <script>
+      (function() {
+        var remaining = ${countdownSeconds};
+        var el = document.getElementById('countdown');
+        var timer = setInterval(function() {
+          remaining = Math.max(remaining - 1, 0);
+          el.textContent = remaining;
+          if (remaining === 0) clearInterval(timer);
+        }, 1000);
+      })();
+    </script>`
+    : '';
+
+  return renderLayout('You are leaving', `    <h1>You are leaving</h1>
+    ${title ? `<h2>${escapeHtml(title)}</h2>` : ''}
+    ${description ? `<p>${escapeHtml(description)}</p>` : ''}
+    <p>This link goes to <strong>${escapeHtml(destinationHost)}</strong>.</p>
+    ${countdown}
+    <a class="button" href="${escapeHtml(continueUrl)}" rel="noreferrer">Continue</a>`, head);
+};
+
+module.exports = {
+  escapeHtml,
+  renderLayout,
+  renderPasswordPage,
+  renderMessagePage,
+  renderInterstitialPage
+};
@@ -0,0 +1,55 @@
+// Account plans and their quotas; null means unlimited. Any quota can be
+// overridden with QUOTA_<PLAN>_<QUOTA>, e.g. QUOTA_FREE_URLS_PER_DAY=100
+// (or =unlimited).
+const DEFAULT_PLANS = {
+  free: { urlsPerDay: 50 },
+  pro: { urlsPerDay: 1000 },
+  enterprise: { urlsPerDay: null }
+};
+
+// Length of each quota's window
+const QUOTA_WINDOWS_MS = {
+  urlsPerDay: 24 * 60 * 60 * 1000
+};
+
+// Wording used in "quota reached" messages
+const QUOTA_LABELS = {
+  urlsPerDay: 'links created per day'
+};
+
+const PLAN_NAMES = Object.keys(DEFAULT_PLANS);
+
+// urlsPerDay -> URLS_PER_DAY
+const toEnvName = (name) => name.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase();
+
+const parseQuota = (value, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  if (value.toLowerCase() === 'unlimited') return null;
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+const PLANS = Object.fromEntries(PLAN_NAMES.map(plan => [
+  plan,
+  Object.fromEntries(Object.entries(DEFAULT_PLANS[plan]).map(([quota, limit]) => [
+    quota,
+    parseQuota(process.env[`QUOTA_${toEnvName(plan)}_${toEnvName(quota)}`], limit)
+  ]))
+]));
+
+// Returns { limit, windowMs } for the plan's quota; limit is null when unlimited
+const getQuota = (plan, quota) => {
+  const limits = PLANS[plan] || PLANS.free;
+  return {
+    limit: limits[quota] ?? null,
+    windowMs: QUOTA_WINDOWS_MS[quota]
+  };
+};
+
+module.exports = {
+  PLANS,
+  PLAN_NAMES,
+  QUOTA_LABELS,
+  toEnvName,
+  getQuota
+};
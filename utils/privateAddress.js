@@ -0,0 +1,63 @@
+const net = require('net');
+const dns = require('dns');
+
+// Private, loopback, link-local and other non-public address ranges. Used to
+// keep link destinations and server-side requests (webhooks) off the internal
+// network.
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+// Whether an IP address literal is in a non-public range
+const isPrivateAddress = (address) => {
+  const version = net.isIP(address);
+  if (!version) return false;
+  return PRIVATE_RANGES.check(address, version === 6 ? 'ipv6' : 'ipv4');
+};
+
+// Whether a hostname is localhost or a private IP literal (no DNS lookup)
+const isPrivateHost = (hostname) => {
+  const host = String(hostname || '').toLowerCase().replace(/^\[|\]$/g, '');
+  if (host === 'localhost' || host.endsWith('.localhost')) return true;
+  return isPrivateAddress(host);
+};
+
+// Resolve a hostname and report whether any of its addresses is private.
+// DNS errors are passed through to the caller.
+const resolvesToPrivateAddress = async(hostname) => {
+  if (isPrivateHost(hostname)) return true;
+  if (net.isIP(hostname)) return false;
+  const addresses = await dns.promises.lookup(hostname, { all: true, verbatim: true });
+  return addresses.some(({ address }) => isPrivateAddress(address));
+};
+
+// `lookup` option for http(s).request that refuses to connect to private
+// addresses. Checking at connect time (rather than before the request) means
+// a DNS answer that changes between validation and delivery can't slip through.
+const publicOnlyLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) {
+      const refusal = new Error(`${hostname} resolves to a private address (${blocked.address})`);
+      refusal.code = 'EPRIVATEADDRESS';
+      return callback(refusal);
+    }
+
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+module.exports = {
+  isPrivateAddress,
+  isPrivateHost,
+  resolvesToPrivateAddress,
+  publicOnlyLookup
+};
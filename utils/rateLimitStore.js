@@ -0,0 +1,84 @@
+const RateLimitCounter = require('../models/RateLimitCounter');
+
+// Counter storage for rate limits and quotas. Counts are kept per key and
+// window start. RATE_LIMIT_STORE picks the backend:
+//   memory (default) - per process; fine for a single instance
+//   mongo            - shared by every instance through MongoDB
+// Other backends (e.g. Redis) implement the same two methods:
+//   rateLimitStore.setStore({ increment(key, windowStart, windowMs, amount), get(key, windowStart) });
+
+const createMemoryStore = () => {
+  const counters = new Map();
+  const counterKey = (key, windowStart) => `${key}@${windowStart}`;
+
+  // Periodically drop expired windows so the map doesn't grow unbounded
+  const cleanupTimer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of counters) {
+      if (entry.expiresAt <= now) counters.delete(key);
+    }
+  }, 60 * 1000);
+  cleanupTimer.unref();
+
+  return {
+    async increment(key, windowStart, windowMs, amount = 1) {
+      const id = counterKey(key, windowStart);
+      const entry = counters.get(id) || { count: 0, expiresAt: windowStart + 2 * windowMs };
+      entry.count += amount;
+      counters.set(id, entry);
+      return entry.count;
+    },
+
+    async get(key, windowStart) {
+      return counters.get(counterKey(key, windowStart))?.count || 0;
+    }
+  };
+};
+
+const createMongoStore = () => ({
+  async increment(key, windowStart, windowMs, amount = 1) {
+    const filter = { key, windowStart: new Date(windowStart) };
+    const update = {
+      $inc: { count: amount },
+      $setOnInsert: { expiresAt: new Date(windowStart + 2 * windowMs) }
+    };
+
+    try {
+      const counter = await RateLimitCounter.findOneAndUpdate(filter, update, { upsert: true, new: true });
+      return counter.count;
+    } catch (error) {
+      // Two first hits raced on the upsert; the document exists now
+      if (error.code !== 11000) throw error;
+      const counter = await RateLimitCounter.findOneAndUpdate(filter, update, { new: true });
+      return counter.count;
+    }
+  },
+
+  async get(key, windowStart) {
+    const counter = await RateLimitCounter.findOne({ key, windowStart: new Date(windowStart) }).lean();
+    return counter?.count || 0;
+  }
+});
+
+const createDefaultStore = () => {
+  return process.env.RATE_LIMIT_STORE === 'mongo' ? createMongoStore() : createMemoryStore();
+};
+
+let store = null;
+
+const getStore = () => {
+  if (!store) store = createDefaultStore();
+  return store;
+};
+
+// Replace the store; call with no argument to restore the RATE_LIMIT_STORE one
+const setStore = (customStore) => {
+  store = customStore && typeof customStore.increment === 'function' ? customStore : null;
+};
+
+module.exports = {
+  createMemoryStore,
+  createMongoStore,
+  getStore,
+  setStore
+};
@@ -0,0 +1,94 @@
+const { parseUserAgent } = require('./userAgent');
+const { lookupCountry } = require('./geoip');
+const { isWithinTimeWindow } = require('./timeWindow');
+
+const RULE_PLATFORMS = ['ios', 'android', 'windows', 'macos', 'linux', 'chromeos'];
+
+// Map ua-parser OS names onto the platforms rules can target
+const toPlatform = (osName) => {
+  if (!osName) return null;
+  const name = osName.toLowerCase();
+  if (name === 'ios' || name === 'ipados') return 'ios';
+  if (name === 'android') return 'android';
+  if (name.startsWith('windows')) return 'windows';
+  if (name === 'mac os' || name === 'macos') return 'macos';
+  if (name.includes('chrom')) return 'chromeos';
+  if (['linux', 'ubuntu', 'debian', 'fedora', 'arch', 'mint', 'gentoo'].includes(name)) return 'linux';
+  return null;
+};
+
+// Visitor's most preferred language from Accept-Language, lowercased (e.g. "pt-br")
+const getPreferredLanguage = (acceptLanguage) => {
+  if (!acceptLanguage) return null;
+
+  const preferred = acceptLanguage.split(',')
+    .map(entry => {
+      const [tag, ...params] = entry.trim().split(';');
+      const qParam = params.find(param => param.trim().startsWith('q='));
+      return { tag: tag.trim().toLowerCase(), q: qParam ? parseFloat(qParam.trim().substring(2)) : 1 };
+    })
+    .filter(entry => entry.tag && entry.tag !== '*' && entry.q > 0)
+    .sort((a, b) => b.q - a.q)[0];
+
+  return preferred ? preferred.tag : null;
+};
+
+const getHostname = (url) => {
+  if (!url) return null;
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+};
+
+// Everything rules can match on, derived once per request
+const buildRuleContext = (req, { ip, country } = {}) => {
+  const { os } = parseUserAgent(req.headers['user-agent']);
+
+  return {
+    platform: toPlatform(os),
+    language: getPreferredLanguage(req.headers['accept-language']),
+    country: country !== undefined ? country : lookupCountry(ip),
+    referrerDomain: getHostname(req.headers.referer || req.headers.referrer),
+    now: new Date()
+  };
+};
+
+// "en" matches "en" and "en-us"; "en-us" only matches "en-us"
+const matchesLanguage = (ruleLanguages, language) => {
+  if (!language) return false;
+  const primary = language.split('-')[0];
+  return ruleLanguages.some(ruleLanguage => ruleLanguage === language || ruleLanguage === primary);
+};
+
+// A referrer rule for "example.com" also matches its subdomains
+const matchesReferrer = (ruleDomains, referrerDomain) => {
+  if (!referrerDomain) return false;
+  return ruleDomains.some(domain => referrerDomain === domain || referrerDomain.endsWith(`.${domain}`));
+};
+
+// Every condition a rule sets has to match; unset conditions are ignored
+const matchesRule = (rule, context) => {
+  if (rule.platforms?.length && !rule.platforms.includes(context.platform)) return false;
+  if (rule.languages?.length && !matchesLanguage(rule.languages, context.language)) return false;
+  if (rule.countries?.length && !rule.countries.includes(context.country)) return false;
+  if (rule.referrerDomains?.length && !matchesReferrer(rule.referrerDomains, context.referrerDomain)) return false;
+  if (rule.timeWindow && !isWithinTimeWindow(rule.timeWindow, context.now)) return false;
+  return true;
+};
+
+// First matching rule in order, or null to use the link's originalUrl
+const selectRule = (rules, context) => {
+  if (!Array.isArray(rules) || rules.length === 0) return null;
+  return rules.find(rule => rule.isActive !== false && matchesRule(rule, context)) || null;
+};
+
+module.exports = {
+  RULE_PLATFORMS,
+  toPlatform,
+  getPreferredLanguage,
+  buildRuleContext,
+  matchesRule,
+  selectRule
+};
@@ -0,0 +1,87 @@
+const fs = require('fs');
+const net = require('net');
+
+// Local threat list of hostnames known to serve phishing or malware. The
+// default provider reads THREAT_LIST_PATH: one hostname (or URL) per line,
+// `#` starts a comment. The file is re-read when it changes, at most every
+// THREAT_LIST_REFRESH_MS. The provider is pluggable, e.g. for a feed synced
+// by another process:
+//   threatList.setProvider(async(hostname) => myFeed.has(hostname));
+const REFRESH_MS = parseInt(process.env.THREAT_LIST_REFRESH_MS, 10) || 60 * 1000;
+
+let entries = new Set();
+let loadedMtimeMs = null;
+let lastCheckedAt = 0;
+
+// Accept bare hostnames as well as full URLs copied from a feed
+const toHostname = (line) => {
+  const value = line.trim().toLowerCase();
+  if (!value) return null;
+  if (value.includes('://')) {
+    try {
+      return new URL(value).hostname;
+    } catch {
+      return null;
+    }
+  }
+  return value.replace(/\.$/, '');
+};
+
+const parseThreatList = (contents) => {
+  return new Set(
+    contents
+      .split(/\r?\n/)
+      .map(line => line.replace(/#.*$/, ''))
+      .map(toHostname)
+      .filter(Boolean)
+  );
+};
+
+// Reload the file if it changed since the last read
+const refreshFromFile = async() => {
+  const filePath = process.env.THREAT_LIST_PATH;
+  if (!filePath || Date.now() - lastCheckedAt < REFRESH_MS) return;
+  lastCheckedAt = Date.now();
+
+  try {
+    const { mtimeMs } = await fs.promises.stat(filePath);
+    if (mtimeMs === loadedMtimeMs) return;
+
+    entries = parseThreatList(await fs.promises.readFile(filePath, 'utf8'));
+    loadedMtimeMs = mtimeMs;
+    console.log(`🛡️ Threat list loaded from ${filePath} (${entries.size} hosts)`);
+  } catch (error) {
+    // Keep serving the last good copy
+    console.error(`❌ Failed to load threat list from ${filePath}:`, error.message);
+  }
+};
+
+const defaultProvider = async(hostname) => {
+  await refreshFromFile();
+  return entries.has(hostname);
+};
+
+let provider = defaultProvider;
+
+// Replace the provider; call with no argument to restore the file-based one
+const setProvider = (fn) => {
+  provider = typeof fn === 'function' ? fn : defaultProvider;
+};
+
+// Whether the hostname or any parent domain is on the threat list
+const isListed = async(hostname) => {
+  const host = String(hostname || '').toLowerCase();
+  if (net.isIP(host)) return Boolean(await provider(host));
+
+  const labels = host.split('.');
+  for (let i = 0; i < labels.length - 1; i++) {
+    if (await provider(labels.slice(i).join('.'))) return true;
+  }
+  return false;
+};
+
+module.exports = {
+  parseThreatList,
+  setProvider,
+  isListed
+};
@@ -0,0 +1,72 @@
+// Weekly time windows evaluated in an IANA timezone, e.g.
+// { days: [1, 2, 3, 4, 5], startTime: '09:00', endTime: '17:00', timezone: 'Europe/Berlin' }
+// days are 0 (Sunday) - 6 (Saturday); an empty list means every day.
+// endTime is exclusive, except '23:59' which runs to the end of the day.
+// A window whose endTime is before its startTime runs past midnight.
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const formatters = new Map();
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Weekday and minutes since midnight of `date` in `timezone`
+const getZonedTime = (date, timezone = 'UTC') => {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+
+  const parts = formatters.get(timezone).formatToParts(date);
+  const part = (type) => parts.find(p => p.type === type).value;
+
+  return {
+    day: WEEKDAYS.indexOf(part('weekday')),
+    minutes: parseInt(part('hour'), 10) * 60 + parseInt(part('minute'), 10)
+  };
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// '23:59' is the latest time HH:MM can express, so as an end it means midnight
+const endToMinutes = (time) => (time === '23:59' ? 24 * 60 : toMinutes(time));
+
+const isWithinTimeWindow = (window, date = new Date()) => {
+  const { day, minutes } = getZonedTime(date, window.timezone || 'UTC');
+  const days = window.days || [];
+  const start = window.startTime ? toMinutes(window.startTime) : 0;
+  const end = window.endTime ? endToMinutes(window.endTime) : 24 * 60;
+
+  if (start <= end) {
+    return (days.length === 0 || days.includes(day)) && minutes >= start && minutes < end;
+  }
+
+  // Overnight window: the part after midnight belongs to the previous day's window
+  if (minutes >= start) {
+    return days.length === 0 || days.includes(day);
+  }
+  return minutes < end && (days.length === 0 || days.includes((day + 6) % 7));
+};
+
+module.exports = {
+  TIME_PATTERN,
+  isValidTimezone,
+  getZonedTime,
+  isWithinTimeWindow
+};
@@ -0,0 +1,36 @@
+const jwt = require('jsonwebtoken');
+
+// When two-factor authentication is on, a correct password only earns a
+// short-lived challenge token. POST /api/auth/2fa/verify trades it plus a code
+// for the real session tokens. The payload has no `id`, so the auth middleware
+// never accepts it as an access token.
+const TOKEN_PURPOSE = 'two_factor';
+const CHALLENGE_TTL_SECONDS = parseInt(process.env.TWO_FACTOR_CHALLENGE_TTL_SECONDS, 10) || 5 * 60;
+
+const getSecret = () => process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
+
+const createChallengeToken = (user) => {
+  return jwt.sign(
+    { uid: String(user._id), purpose: TOKEN_PURPOSE },
+    getSecret(),
+    { expiresIn: CHALLENGE_TTL_SECONDS }
+  );
+};
+
+// Returns the user ID the challenge was issued for, or null
+const verifyChallengeToken = (token) => {
+  if (typeof token !== 'string' || !token) return null;
+
+  try {
+    const payload = jwt.verify(token, getSecret());
+    return payload.purpose === TOKEN_PURPOSE ? payload.uid : null;
+  } catch {
+    return null;
+  }
+};
+
+module.exports = {
+  CHALLENGE_TTL_SECONDS,
+  createChallengeToken,
+  verifyChallengeToken
+};
@@ -0,0 +1,46 @@
+const Url = require('../models/Url');
+const { createLruCache } = require('./lruCache');
+
+// Shared cache for active short code lookups on the public redirect path
+// (redirectToOriginal, getUrlPreview, getQRCode). Entries are lean Url
+// objects including the password hash. Invalidation is per process, so with
+// several instances a change can take up to URL_CACHE_TTL_MS to propagate.
+const cache = createLruCache({
+  maxSize: parseInt(process.env.URL_CACHE_MAX_SIZE, 10) || 10000,
+  ttlMs: parseInt(process.env.URL_CACHE_TTL_MS, 10) || 60 * 1000
+});
+
+// Short codes are unique per domain; null is the default BASE_URL domain
+const cacheKey = (shortCode, domain) => `${domain || ''}/${shortCode}`;
+
+// Find an active URL by short code on a domain, from cache when possible
+const findActiveByShortCode = async(shortCode, domain = null) => {
+  const key = cacheKey(shortCode, domain);
+  const cached = cache.get(key);
+  if (cached) return cached;
+
+  const url = await Url.findOne({
+    shortCode,
+    domain,
+    isActive: true
+  }).select('+password').lean();
+
+  if (url) {
+    // Never keep an entry past the link's expiry date
+    const ttl = url.expiryDate ? new Date(url.expiryDate).getTime() - Date.now() : Infinity;
+    cache.set(key, url, ttl);
+  }
+
+  return url;
+};
+
+const invalidate = (shortCode, domain = null) => {
+  if (shortCode) cache.delete(cacheKey(shortCode, domain));
+};
+
+module.exports = {
+  findActiveByShortCode,
+  invalidate,
+  clear: cache.clear,
+  getStats: cache.getStats
+};
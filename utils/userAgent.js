@@ -0,0 +1,27 @@
+const UAParser = require('ua-parser-js');
+
+const BOT_PATTERN = /bot|crawl|spider|slurp|preview|facebookexternalhit|headless/i;
+
+// Reduce a user-agent string to the dimensions we report on
+const parseUserAgent = (userAgent) => {
+  if (!userAgent) {
+    return { browser: null, os: null, deviceType: null };
+  }
+
+  const result = new UAParser(userAgent).getResult();
+
+  let deviceType = result.device.type || 'desktop';
+  if (BOT_PATTERN.test(userAgent)) {
+    deviceType = 'bot';
+  }
+
+  return {
+    browser: result.browser.name || null,
+    os: result.os.name || null,
+    deviceType
+  };
+};
+
+module.exports = {
+  parseUserAgent
+};
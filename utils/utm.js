@@ -0,0 +1,47 @@
+// Structured UTM campaign parameters. Request bodies use the query-string
+// names (utm_source, ...); the Url model stores them under `utm` without the
+// prefix (utm.source, ...).
+const UTM_FIELDS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+
+const toModelKey = (field) => field.substring(4);
+
+// Pick the UTM fields present in a request body. Empty values become null so
+// they clear the stored parameter on update.
+const extractUtm = (body = {}) => {
+  return UTM_FIELDS.reduce((acc, field) => {
+    if (body[field] !== undefined) {
+      const value = typeof body[field] === 'string' ? body[field].trim() : body[field];
+      acc[toModelKey(field)] = value || null;
+    }
+    return acc;
+  }, {});
+};
+
+// Merge stored UTM parameters into a destination URL. Parameters already
+// present in the original URL are left untouched.
+const applyUtmParams = (originalUrl, utm) => {
+  if (!utm) return originalUrl;
+
+  const missing = UTM_FIELDS.filter(field => utm[toModelKey(field)]);
+  if (missing.length === 0) return originalUrl;
+
+  try {
+    const destination = new URL(originalUrl);
+    let changed = false;
+    missing.forEach((field) => {
+      if (!destination.searchParams.has(field)) {
+        destination.searchParams.set(field, utm[toModelKey(field)]);
+        changed = true;
+      }
+    });
+    return changed ? destination.toString() : originalUrl;
+  } catch {
+    return originalUrl;
+  }
+};
+
+module.exports = {
+  UTM_FIELDS,
+  extractUtm,
+  applyUtmParams
+};
@@ -1,4 +1,8 @@
 const validator = require('validator');
+const { body } = require('express-validator');
+const { UTM_FIELDS } = require('./utm');
+const { RULE_PLATFORMS } = require('./redirectRules');
+const { TIME_PATTERN, isValidTimezone } = require('./timeWindow');
 
 // Custom validation functions
 const isValidUrl = (url) => {
@@ -60,6 +64,237 @@ const formatSuccessResponse = (message, data = null) => {
   };
 };
 
+// express-validator chains shared by routes and controllers
+const utmValidation = UTM_FIELDS.map(field =>
+  body(field)
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage(`${field} must be a string`)
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage(`${field} cannot exceed 200 characters`)
+);
+
+// Chains for a weekly time window object at `path` (see utils/timeWindow)
+const timeWindowValidation = (path) => [
+  body(`${path}.days.*`)
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Days must be 0 (Sunday) to 6 (Saturday)'),
+
+  body([`${path}.startTime`, `${path}.endTime`])
+    .optional()
+    .matches(TIME_PATTERN)
+    .withMessage('Times must use HH:MM'),
+
+  body(`${path}.timezone`)
+    .optional()
+    .custom(isValidTimezone)
+    .withMessage('Timezone must be an IANA name such as Europe/Berlin')
+];
+
+// Activation date, recurring availability windows and the unavailable response
+const availabilityValidation = [
+  body('activatesAt')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Activation date must be a valid ISO 8601 date'),
+
+  body('availabilityWindows')
+    .optional({ values: 'null' })
+    .isArray({ max: 10 })
+    .withMessage('Availability windows must be an array of at most 10 windows'),
+
+  ...timeWindowValidation('availabilityWindows.*'),
+
+  body('unavailableMessage')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Unavailable message cannot exceed 500 characters'),
+
+  body('unavailableUrl')
+    .optional({ values: 'falsy' })
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Unavailable URL must be a valid http(s) URL')
+];
+
+// Where browsers go when the link is expired, deactivated or used up
+const fallbackValidation = [
+  body('fallbackUrl')
+    .optional({ values: 'falsy' })
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Fallback URL must be a valid http(s) URL'),
+
+  body('fallbackMessage')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Fallback message cannot exceed 500 characters')
+];
+
+// "You are leaving" page shown before the redirect
+const interstitialValidation = [
+  body('interstitial')
+    .optional()
+    .isBoolean()
+    .withMessage('Interstitial must be true or false'),
+
+  body('interstitialDelay')
+    .optional()
+    .isInt({ min: 0, max: 60 })
+    .withMessage('Interstitial delay must be between 0 and 60 seconds')
+];
+
+// Ordered conditional redirect rules; null clears them on update
+const rulesValidation = [
+  body('rules')
+    .optional({ values: 'null' })
+    .isArray({ max: 20 })
+    .withMessage('Rules must be an array of at most 20 rules'),
+
+  body('rules.*.destination')
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Each rule needs a valid http(s) destination'),
+
+  body('rules.*.name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Rule name cannot exceed 100 characters'),
+
+  body('rules.*.platforms.*')
+    .isIn(RULE_PLATFORMS)
+    .withMessage(`Platforms must be one of: ${RULE_PLATFORMS.join(', ')}`),
+
+  body('rules.*.languages.*')
+    .matches(/^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/)
+    .withMessage('Languages must be tags such as en or pt-BR'),
+
+  body('rules.*.countries.*')
+    .matches(/^[a-zA-Z]{2}$/)
+    .withMessage('Countries must be two-letter ISO codes'),
+
+  body('rules.*.referrerDomains.*')
+    .isFQDN()
+    .withMessage('Referrer domains must be hostnames such as example.com'),
+
+  ...timeWindowValidation('rules.*.timeWindow'),
+
+  body('rules.*.isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean value')
+];
+
+// Weighted A/B variants; null clears them on update
+const variantsValidation = [
+  body('variants')
+    .optional({ values: 'null' })
+    .isArray({ max: 10 })
+    .withMessage('Variants must be an array of at most 10 variants'),
+
+  body('variants.*.name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Each variant needs a name of at most 100 characters'),
+
+  body('variants.*.destination')
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Each variant needs a valid http(s) destination'),
+
+  body('variants.*.weight')
+    .optional()
+    .isInt({ min: 0, max: 1000 })
+    .withMessage('Variant weight must be an integer between 0 and 1000')
+];
+
+const createUrlValidation = [
+  body('originalUrl')
+    .trim()
+    .notEmpty()
+    .withMessage('Original URL is required')
+    .isURL({
+      protocols: ['http', 'https'],
+      require_protocol: true
+    })
+    .withMessage('Please provide a valid URL with http:// or https://'),
+
+  body('customCode')
+    .optional()
+    .trim()
+    .isLength({ min: 4, max: 10 })
+    .withMessage('Custom code must be between 4 and 10 characters')
+    .matches(/^[a-zA-Z0-9_-]+$/)
+    .withMessage('Custom code can only contain letters, numbers, hyphens, and underscores'),
+
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Title cannot exceed 200 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+
+  body('expiryDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid date in ISO 8601 format')
+    .custom((value) => {
+      if (value && new Date(value) <= new Date()) {
+        throw new Error('Expiry date must be in the future');
+      }
+      return true;
+    }),
+
+  body('tags')
+    .optional()
+    .isArray()
+    .withMessage('Tags must be an array'),
+
+  body('tags.*')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each tag must be between 1 and 50 characters'),
+
+  body('password')
+    .optional()
+    .isString()
+    .isLength({ min: 4, max: 100 })
+    .withMessage('Password must be between 4 and 100 characters'),
+
+  body('domain')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isFQDN()
+    .withMessage('Domain must be a valid hostname'),
+
+  body('maxClicks')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 1000000000 })
+    .withMessage('Click limit must be a positive integer'),
+
+  body('workspaceId')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid workspace ID'),
+
+  ...utmValidation,
+  ...rulesValidation,
+  ...variantsValidation,
+  ...availabilityValidation,
+  ...fallbackValidation,
+  ...interstitialValidation
+];
+
 module.exports = {
   isValidUrl,
   isValidShortCode,
@@ -68,5 +303,12 @@ module.exports = {
   sanitizeInput,
   validatePagination,
   formatErrorResponse,
-  formatSuccessResponse
+  formatSuccessResponse,
+  utmValidation,
+  rulesValidation,
+  variantsValidation,
+  availabilityValidation,
+  fallbackValidation,
+  interstitialValidation,
+  createUrlValidation
 };
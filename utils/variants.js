@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const { getCookie } = require('./cookies');
+
+// Returning visitors keep their variant for VARIANT_COOKIE_DAYS (default 30)
+const VARIANT_COOKIE_MAX_AGE = (parseInt(process.env.VARIANT_COOKIE_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+
+const getVariantCookieName = (url) => `sv_${url._id}`;
+
+// Weighted random pick among variants with a positive weight
+const pickVariant = (variants) => {
+  const candidates = variants.filter(variant => variant.weight > 0);
+  const totalWeight = candidates.reduce((sum, variant) => sum + variant.weight, 0);
+  if (totalWeight <= 0) return null;
+
+  let point = crypto.randomInt(totalWeight);
+  for (const variant of candidates) {
+    point -= variant.weight;
+    if (point < 0) return variant;
+  }
+  return candidates[candidates.length - 1];
+};
+
+// Variant for this visitor: the one in their cookie while it still exists and
+// has weight, otherwise a fresh weighted pick. `isNew` means the cookie must be set.
+const chooseVariant = (req, url) => {
+  if (!Array.isArray(url.variants) || url.variants.length === 0) {
+    return { variant: null, isNew: false };
+  }
+
+  const storedId = getCookie(req, getVariantCookieName(url));
+  const stored = storedId && url.variants.find(variant => String(variant._id) === storedId && variant.weight > 0);
+  if (stored) {
+    return { variant: stored, isNew: false };
+  }
+
+  return { variant: pickVariant(url.variants), isNew: true };
+};
+
+// Pin the visitor to a variant for this short link only
+const setVariantCookie = (res, url, variant) => {
+  res.cookie(getVariantCookieName(url), String(variant._id), {
+    maxAge: VARIANT_COOKIE_MAX_AGE,
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    path: `/${url.shortCode}`
+  });
+};
+
+module.exports = {
+  pickVariant,
+  chooseVariant,
+  setVariantCookie
+};
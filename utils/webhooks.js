@@ -0,0 +1,308 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const Url = require('../models/Url');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const WebhookClickCounter = require('../models/WebhookClickCounter');
+const { createLruCache } = require('./lruCache');
+const { isPrivateHost, publicOnlyLookup } = require('./privateAddress');
+
+// Outgoing webhook dispatcher. Every event becomes a WebhookDelivery document
+// (the delivery log) and is POSTed to the subscriber with an HMAC-SHA256
+// signature. Failed deliveries are retried with exponential backoff; a
+// periodic sweep picks up retries whose in-process timer was lost to a restart.
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 10 * 1000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10 * 1000;
+const SWEEP_INTERVAL_MS = parseInt(process.env.WEBHOOK_SWEEP_INTERVAL_MS, 10) || 30 * 1000;
+const STALE_DELIVERING_MS = 5 * 60 * 1000;
+
+// Targets on private, loopback or link-local addresses are refused so a
+// webhook can't be pointed at the internal network. Local development can
+// opt in with WEBHOOK_ALLOW_PRIVATE_TARGETS=true.
+const allowPrivateTargets = () => process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true';
+
+// Active webhooks per user, so the click path doesn't query MongoDB on every redirect
+const subscriptionCache = createLruCache({ maxSize: 5000, ttlMs: 60 * 1000 });
+
+let sweepTimer = null;
+
+const getSubscriptions = async(userId) => {
+  const key = String(userId);
+  const cached = subscriptionCache.get(key);
+  if (cached) return cached;
+
+  const webhooks = await Webhook.find({ userId, isActive: true })
+    .select('_id events clickEvery')
+    .lean();
+  subscriptionCache.set(key, webhooks);
+  return webhooks;
+};
+
+const invalidateSubscriptions = (userId) => {
+  subscriptionCache.delete(String(userId));
+};
+
+// Signature sent as `X-Webhook-Signature: sha256=<hex>` over "<timestamp>.<body>"
+const signPayload = (secret, timestamp, body) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+// Public representation of a Url in event payloads (works for lean objects too)
+const serializeUrl = (url) => ({
+  id: url._id,
+  shortCode: url.shortCode,
+  shortUrl: Url.buildShortUrl(url.shortCode, url.domain),
+  domain: url.domain || null,
+  originalUrl: url.originalUrl,
+  title: url.title,
+  clicks: url.clicks,
+  isActive: url.isActive,
+  expiryDate: url.expiryDate,
+  tags: url.tags,
+  createdAt: url.createdAt,
+  updatedAt: url.updatedAt
+});
+
+// POST the body and resolve to the response status. The receiver's response
+// body is discarded; the delivery log only records the status.
+const postToTarget = (targetUrl, headers, body) => new Promise((resolve, reject) => {
+  const target = new URL(targetUrl);
+  if (!allowPrivateTargets() && isPrivateHost(target.hostname)) {
+    reject(new Error(`${target.hostname} is a private address`));
+    return;
+  }
+
+  const client = target.protocol === 'https:' ? https : http;
+  const request = client.request(target, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    lookup: allowPrivateTargets() ? undefined : publicOnlyLookup,
+    signal: AbortSignal.timeout(TIMEOUT_MS)
+  }, (response) => {
+    response.resume();
+    response.on('end', () => resolve(response.statusCode));
+    response.on('error', reject);
+  });
+
+  request.on('error', reject);
+  request.end(body);
+});
+
+const scheduleAttempt = (deliveryId, delayMs = 0) => {
+  const timer = setTimeout(() => {
+    attemptDelivery(deliveryId).catch(error => {
+      console.error(`❌ Webhook delivery ${deliveryId} crashed:`, error);
+    });
+  }, delayMs);
+  timer.unref();
+};
+
+// Send one attempt of a delivery. The delivery is claimed atomically so a
+// timer and the sweep (or two instances) never send the same attempt twice.
+// A function declaration because it and scheduleAttempt call each other.
+async function attemptDelivery(deliveryId) {
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: new Date() } },
+    { $set: { status: 'delivering' }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!delivery) return null;
+
+  const webhook = await Webhook.findById(delivery.webhookId).select('+secret');
+  if (!webhook || !webhook.isActive) {
+    await WebhookDelivery.updateOne(
+      { _id: delivery._id },
+      { $set: { status: 'failed', error: 'Webhook was deleted or disabled' } }
+    );
+    return null;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+  let responseStatus = null;
+  let error = null;
+
+  try {
+    // Redirects aren't followed, so a 3xx counts as a failure
+    responseStatus = await postToTarget(webhook.targetUrl, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'URL-Shortener-Webhooks/1.0',
+      'X-Webhook-Id': String(webhook._id),
+      'X-Webhook-Delivery': String(delivery._id),
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`
+    }, body);
+
+    if (responseStatus < 200 || responseStatus >= 300) {
+      error = `Receiver responded with HTTP ${responseStatus}`;
+    }
+  } catch (requestError) {
+    error = requestError.name === 'AbortError'
+      ? `Timed out after ${TIMEOUT_MS}ms`
+      : requestError.message;
+  }
+
+  const update = {
+    responseStatus,
+    error,
+    durationMs: Date.now() - startedAt
+  };
+
+  if (!error) {
+    update.status = 'success';
+    update.deliveredAt = new Date();
+  } else if (delivery.attempts >= MAX_ATTEMPTS) {
+    update.status = 'failed';
+    console.error(`❌ Webhook delivery ${delivery._id} gave up after ${delivery.attempts} attempts: ${error}`);
+  } else {
+    // Exponential backoff: base, 2x base, 4x base, ...
+    const delayMs = RETRY_BASE_MS * 2 ** (delivery.attempts - 1);
+    update.status = 'pending';
+    update.nextAttemptAt = new Date(Date.now() + delayMs);
+    scheduleAttempt(delivery._id, delayMs);
+    console.log(`🔁 Webhook delivery ${delivery._id} failed (${error}), retrying in ${delayMs}ms`);
+  }
+
+  await Promise.all([
+    WebhookDelivery.updateOne({ _id: delivery._id }, { $set: update }),
+    Webhook.updateOne(
+      { _id: webhook._id },
+      { $set: { lastDeliveryAt: new Date(), lastDeliveryStatus: error ? 'failed' : 'success' } }
+    )
+  ]);
+
+  return update;
+}
+
+// Record and send an event to the given webhooks
+const deliverToWebhooks = async(webhooks, userId, event, data) => {
+  for (const webhook of webhooks) {
+    const delivery = new WebhookDelivery({ webhookId: webhook._id, userId, event, payload: {} });
+    delivery.payload = {
+      id: String(delivery._id),
+      event,
+      createdAt: new Date().toISOString(),
+      data
+    };
+    await delivery.save();
+    scheduleAttempt(delivery._id);
+  }
+};
+
+// Queue an event for every active webhook of the user subscribed to it
+const emit = async(userId, event, data) => {
+  if (!userId) return;
+  const webhooks = (await getSubscriptions(userId)).filter(webhook => webhook.events.includes(event));
+  await deliverToWebhooks(webhooks, userId, event, data);
+};
+
+// Fire-and-forget wrapper for controllers: webhooks must never fail a request
+const emitEvent = (userId, event, data) => {
+  emit(userId, event, data).catch(error => {
+    console.error(`❌ Failed to queue webhook event ${event}:`, error);
+  });
+};
+
+// Click events honour each webhook's clickEvery setting, counted per link
+const emitClick = async(url, clickData = {}) => {
+  if (!url.userId) return;
+
+  const webhooks = (await getSubscriptions(url.userId)).filter(webhook => webhook.events.includes('url.clicked'));
+
+  for (const webhook of webhooks) {
+    let clickCount = null;
+
+    if (webhook.clickEvery > 1) {
+      clickCount = await WebhookClickCounter.increment(webhook._id, url._id);
+      if (clickCount % webhook.clickEvery !== 0) continue;
+    }
+
+    await deliverToWebhooks([webhook], url.userId, 'url.clicked', {
+      url: serializeUrl(url),
+      click: {
+        timestamp: new Date().toISOString(),
+        referer: clickData.referer || null,
+        userAgent: clickData.userAgent || null,
+        country: clickData.country || null,
+        ruleId: clickData.ruleId || null,
+        variantId: clickData.variantId || null
+      },
+      ...(clickCount !== null && { clickCount })
+    });
+  }
+};
+
+// Emit url.expired once for links whose expiry date recently passed
+const notifyExpiredUrls = async() => {
+  const now = new Date();
+  const expired = await Url.find({
+    expiryDate: { $lte: now, $gte: new Date(now.getTime() - 24 * 60 * 60 * 1000) },
+    expiryNotifiedAt: null
+  }).limit(200).lean();
+
+  for (const url of expired) {
+    // Claim per URL so only one instance sends the event
+    const { modifiedCount } = await Url.updateOne(
+      { _id: url._id, expiryNotifiedAt: null },
+      { $set: { expiryNotifiedAt: now } }
+    );
+    if (modifiedCount === 1) {
+      emitEvent(url.userId, 'url.expired', { url: serializeUrl(url) });
+    }
+  }
+};
+
+const sweep = async() => {
+  if (mongoose.connection.readyState !== 1) return;
+
+  try {
+    // Deliveries stuck mid-send (process died) go back to pending
+    await WebhookDelivery.updateMany(
+      { status: 'delivering', updatedAt: { $lt: new Date(Date.now() - STALE_DELIVERING_MS) } },
+      { $set: { status: 'pending', nextAttemptAt: new Date() } }
+    );
+
+    const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+      .select('_id')
+      .sort({ nextAttemptAt: 1 })
+      .limit(100)
+      .lean();
+    due.forEach(delivery => scheduleAttempt(delivery._id));
+
+    await notifyExpiredUrls();
+  } catch (error) {
+    console.error('❌ Webhook sweep failed:', error);
+  }
+};
+
+const start = () => {
+  if (sweepTimer) return;
+  sweepTimer = setInterval(sweep, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+};
+
+const stop = () => {
+  if (sweepTimer) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+};
+
+module.exports = {
+  emit,
+  emitEvent,
+  emitClick,
+  deliverToWebhooks,
+  attemptDelivery,
+  signPayload,
+  serializeUrl,
+  allowPrivateTargets,
+  invalidateSubscriptions,
+  start,
+  stop
+};